@@ -15,11 +15,14 @@ except (AttributeError, ValueError):
     pass  # Windows doesn't support SIGALRM
 
 def main():
-    if len(sys.argv) < 2:
-        print(json.dumps({"error": "Usage: ig_scraper.py <username>"}))
+    args = [a for a in sys.argv[1:] if not a.startswith('--')]
+    # --profile-only: skip the posts (one request instead of several, used to verify a handle)
+    profile_only = '--profile-only' in sys.argv[1:]
+    if len(args) < 1:
+        print(json.dumps({"error": "Usage: ig_scraper.py <username> [--profile-only]"}))
         sys.exit(1)
     
-    username = sys.argv[1].lstrip('@')
+    username = args[0].lstrip('@')
     
     import instaloader
     from instaloader import Instaloader, Profile
@@ -58,7 +61,7 @@ def main():
         }
         
         # Get recent posts (up to 12) only if public
-        if not profile.is_private:
+        if not profile.is_private and not profile_only:
             count = 0
             try:
                 for post in profile.get_posts():
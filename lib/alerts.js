@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./storage');
+
+// Alert rules and the alerts they raise, kept in <dataDir>/alerts.json:
+// {
+//   rules: [{ id, name, type, threshold, direction, platform, folderId, accountId, enabled, createdBy, createdAt }],
+//   alerts: [{ id, key, ruleId, ruleName, type, platform, accountId, handle, contentId, message, value, threshold,
+//              status, count, createdAt, lastTriggeredAt, acknowledgedAt, acknowledgedBy, resolvedAt, resolvedBy }],
+//   errorStreaks: { 'platform:accountId': consecutive failed fetches }
+// }
+// Rules run after every fetch (evaluate()). platform/folderId/accountId narrow the scope; null matches everything.
+// While a condition keeps firing its alert is updated (count, value) instead of raised again.
+// Status goes open -> acknowledged -> resolved; "state" conditions resolve themselves once they clear.
+const RULE_TYPES = {
+    // |followers change| vs the previous snapshot, in percent; direction 'any' | 'up' | 'down'
+    followers_change: { state: false, integer: false },
+    // engagementRate (percent) under the threshold
+    engagement_below: { state: true, integer: false },
+    // a content item past the threshold in views within 24h of upload; one alert per item
+    content_views_24h: { state: false, integer: true },
+    // this many failed fetches in a row
+    fetch_errors: { state: true, integer: true }
+};
+const DIRECTIONS = ['any', 'up', 'down'];
+const ACTIVE = ['open', 'acknowledged'];
+// Resolved alerts beyond this are dropped, oldest first
+const MAX_RESOLVED_ALERTS = 1000;
+
+function fail(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function fmtNumber(n) {
+    return Math.round(n).toLocaleString('pt-BR');
+}
+
+// Returns an error message or null
+function validateRule(rule, { partial = false } = {}) {
+    if (!partial || rule.name !== undefined) {
+        if (typeof rule.name !== 'string' || !rule.name.trim() || rule.name.length > 80) return 'Name is required (max 80 characters)';
+    }
+    if (!partial || rule.type !== undefined) {
+        if (!RULE_TYPES[rule.type]) return `Type must be one of: ${Object.keys(RULE_TYPES).join(', ')}`;
+    }
+    if (!partial || rule.threshold !== undefined) {
+        const t = rule.threshold;
+        if (typeof t !== 'number' || !Number.isFinite(t) || t < 0) return 'Threshold must be a number >= 0';
+        if (RULE_TYPES[rule.type]?.integer && (!Number.isInteger(t) || t < 1)) return 'Threshold must be a whole number >= 1 for this type';
+    }
+    if (rule.direction !== undefined && !DIRECTIONS.includes(rule.direction)) return `Direction must be one of: ${DIRECTIONS.join(', ')}`;
+    if ((rule.folderId || rule.accountId) && !rule.platform) return 'Folder and account scopes need a platform';
+    if (rule.folderId && rule.accountId) return 'Use either folderId or accountId, not both';
+    return null;
+}
+
+function ruleMatches(rule, platform, account) {
+    return rule.enabled
+        && (!rule.platform || rule.platform === platform)
+        && (!rule.folderId || rule.folderId === account.folderId)
+        && (!rule.accountId || rule.accountId === account.id);
+}
+
+function createAlerts({ dataDir }) {
+    const file = path.join(dataDir, 'alerts.json');
+    let data = { rules: [], alerts: [], errorStreaks: {} };
+    try {
+        if (fs.existsSync(file)) data = { rules: [], alerts: [], errorStreaks: {}, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (e) { console.error('Alerts read error:', e.message); }
+
+    function save() {
+        const resolved = data.alerts.filter(a => a.status === 'resolved');
+        if (resolved.length > MAX_RESOLVED_ALERTS) {
+            const drop = new Set(resolved.slice(0, resolved.length - MAX_RESOLVED_ALERTS).map(a => a.id));
+            data.alerts = data.alerts.filter(a => !drop.has(a.id));
+        }
+        writeFileAtomic(file, JSON.stringify(data, null, 2));
+    }
+
+    function listRules() {
+        return data.rules;
+    }
+
+    function createRule(fields, createdBy) {
+        const error = validateRule(fields);
+        if (error) throw fail(400, error);
+        const rule = {
+            id: 'r_' + crypto.randomBytes(6).toString('hex'),
+            name: fields.name.trim(),
+            type: fields.type,
+            threshold: fields.threshold,
+            direction: fields.type === 'followers_change' ? fields.direction || 'any' : null,
+            platform: fields.platform || null,
+            folderId: fields.folderId || null,
+            accountId: fields.accountId || null,
+            enabled: fields.enabled !== false,
+            createdBy: createdBy || null,
+            createdAt: new Date().toISOString()
+        };
+        data.rules.push(rule);
+        save();
+        return rule;
+    }
+
+    // fields: { name?, threshold?, direction?, enabled? }. Type and scope are fixed; make a new rule to change them.
+    function updateRule(id, { name, threshold, direction, enabled }) {
+        const rule = data.rules.find(r => r.id === id);
+        if (!rule) return null;
+        const error = validateRule({ type: rule.type, name, threshold, direction }, { partial: true });
+        if (error) throw fail(400, error);
+        if (name !== undefined) rule.name = name.trim();
+        if (threshold !== undefined) rule.threshold = threshold;
+        if (direction !== undefined && rule.type === 'followers_change') rule.direction = direction;
+        if (enabled !== undefined) rule.enabled = !!enabled;
+        save();
+        return rule;
+    }
+
+    function deleteRule(id) {
+        const before = data.rules.length;
+        data.rules = data.rules.filter(r => r.id !== id);
+        if (data.rules.length === before) return false;
+        save();
+        return true;
+    }
+
+    // filters: { status?: string[], platform?, accountId? } -> newest first
+    function listAlerts({ status, platform, accountId } = {}) {
+        return data.alerts
+            .filter(a => (!status || status.includes(a.status)) && (!platform || a.platform === platform) && (!accountId || a.accountId === accountId))
+            .slice()
+            .reverse();
+    }
+
+    function getAlert(id) {
+        return data.alerts.find(a => a.id === id) || null;
+    }
+
+    function countAlerts() {
+        const counts = { open: 0, acknowledged: 0, resolved: 0 };
+        for (const a of data.alerts) counts[a.status]++;
+        return counts;
+    }
+
+    // -> the alert, null when it doesn't exist. Acknowledging a resolved alert is an error.
+    function setStatus(id, status, by) {
+        const alert = data.alerts.find(a => a.id === id);
+        if (!alert) return null;
+        if (status === 'acknowledged' && alert.status === 'resolved') throw fail(409, 'Alert is already resolved');
+        if (alert.status === status) return alert;
+        const now = new Date().toISOString();
+        alert.status = status;
+        if (status === 'acknowledged') Object.assign(alert, { acknowledgedAt: now, acknowledgedBy: by || null });
+        if (status === 'resolved') Object.assign(alert, { resolvedAt: now, resolvedBy: by || null });
+        save();
+        return alert;
+    }
+
+    function acknowledge(id, by) {
+        return setStatus(id, 'acknowledged', by);
+    }
+
+    function resolve(id, by) {
+        return setStatus(id, 'resolved', by);
+    }
+
+    // Raise or refresh the alert for key; returns { alert, raised }
+    function trigger(rule, key, fields, now) {
+        const active = data.alerts.find(a => a.key === key && ACTIVE.includes(a.status));
+        if (active) {
+            Object.assign(active, { message: fields.message, value: fields.value, lastTriggeredAt: now });
+            active.count++;
+            return { alert: active, raised: false };
+        }
+        const alert = {
+            id: 'al_' + crypto.randomBytes(6).toString('hex'),
+            key,
+            ruleId: rule.id,
+            ruleName: rule.name,
+            type: rule.type,
+            platform: fields.platform,
+            accountId: fields.accountId,
+            handle: fields.handle,
+            contentId: fields.contentId || null,
+            message: fields.message,
+            value: fields.value,
+            threshold: rule.threshold,
+            status: 'open',
+            count: 1,
+            createdAt: now,
+            lastTriggeredAt: now,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            resolvedAt: null,
+            resolvedBy: null
+        };
+        data.alerts.push(alert);
+        return { alert, raised: true };
+    }
+
+    // Called after every fetch:
+    //   { platform, account (as stored, with the new metrics/recentContent), ok, error, previous (snapshot before this fetch) }
+    // -> { raised: [alert], resolved: [alert] }
+    function evaluate({ platform, account, ok, error, previous }) {
+        const now = new Date().toISOString();
+        const raised = [], resolved = [];
+        let changed = false;
+
+        const streakKey = `${platform}:${account.id}`;
+        const streak = ok ? 0 : (data.errorStreaks[streakKey] || 0) + 1;
+        if (streak !== (data.errorStreaks[streakKey] || 0)) {
+            if (streak) data.errorStreaks[streakKey] = streak;
+            else delete data.errorStreaks[streakKey];
+            changed = true;
+        }
+
+        const m = account.metrics || {};
+        const base = { platform, accountId: account.id, handle: account.handle };
+
+        for (const rule of data.rules) {
+            if (!ruleMatches(rule, platform, account)) continue;
+            const key = `${rule.id}:${platform}:${account.id}`;
+            // [{ key, fields }] for every condition that fires; null when this fetch can't tell (e.g. it failed)
+            let hits = null;
+
+            if (rule.type === 'fetch_errors') {
+                hits = streak >= rule.threshold
+                    ? [{ key, fields: { value: streak, message: `${streak === 1 ? 'Busca com erro' : `${streak} buscas seguidas com erro`}: ${error || m.error || 'erro desconhecido'}` } }]
+                    : [];
+            } else if (ok && rule.type === 'engagement_below') {
+                const rate = m.engagementRate;
+                if (typeof rate === 'number') {
+                    hits = rate < rule.threshold
+                        ? [{ key, fields: { value: rate, message: `Engajamento em ${rate.toFixed(2)}% (abaixo de ${rule.threshold}%)` } }]
+                        : [];
+                }
+            } else if (ok && rule.type === 'followers_change') {
+                const current = m.subscribers ?? m.followers;
+                const before = previous?.followers;
+                hits = [];
+                if (typeof current === 'number' && before > 0) {
+                    const change = ((current - before) / before) * 100;
+                    const fires = Math.abs(change) > rule.threshold
+                        && (rule.direction === 'any' || (rule.direction === 'up' ? change > 0 : change < 0));
+                    if (fires) {
+                        hits.push({
+                            key,
+                            fields: {
+                                value: Math.round(change * 100) / 100,
+                                message: `Seguidores ${change > 0 ? 'subiram' : 'caíram'} ${Math.abs(change).toFixed(1)}% (${fmtNumber(before)} → ${fmtNumber(current)})`
+                            }
+                        });
+                    }
+                }
+            } else if (ok && rule.type === 'content_views_24h') {
+                hits = [];
+                for (const item of account.recentContent || []) {
+                    if (!item.id || !(item.views24h > rule.threshold)) continue;
+                    const itemKey = `${key}:${item.id}`;
+                    // One alert per item, ever: a resolved one is not raised again
+                    if (data.alerts.some(a => a.key === itemKey)) continue;
+                    hits.push({
+                        key: itemKey,
+                        fields: {
+                            contentId: String(item.id),
+                            value: item.views24h,
+                            message: `"${(item.title || item.id).toString().slice(0, 60)}" passou de ${fmtNumber(rule.threshold)} views em 24h (${fmtNumber(item.views24h)})`
+                        }
+                    });
+                }
+            }
+            if (hits === null) continue;
+
+            for (const hit of hits) {
+                const { alert, raised: isNew } = trigger(rule, hit.key, { ...base, ...hit.fields }, now);
+                if (isNew) raised.push(alert);
+                changed = true;
+            }
+            if (RULE_TYPES[rule.type].state && hits.length === 0) {
+                for (const alert of data.alerts) {
+                    if (alert.key !== key || !ACTIVE.includes(alert.status)) continue;
+                    Object.assign(alert, { status: 'resolved', resolvedAt: now, resolvedBy: 'auto' });
+                    resolved.push(alert);
+                    changed = true;
+                }
+            }
+        }
+
+        if (changed) save();
+        return { raised, resolved };
+    }
+
+    // Account deleted: its streak goes, its alerts stay as history
+    function forgetAccount(platform, accountId) {
+        if (data.errorStreaks[`${platform}:${accountId}`] === undefined) return;
+        delete data.errorStreaks[`${platform}:${accountId}`];
+        save();
+    }
+
+    return {
+        file, listRules, createRule, updateRule, deleteRule,
+        listAlerts, getAlert, countAlerts, acknowledge, resolve, evaluate, forgetAccount
+    };
+}
+
+module.exports = { RULE_TYPES, createAlerts };
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./storage');
+
+// Local users and login sessions, kept in <dataDir>/auth.json:
+// {
+//   users: [{ id, username, role, passwordHash, createdAt }],
+//   sessions: [{ id, tokenHash, userId, createdAt, expiresAt }],
+//   apiKeys: [{ id, label, prefix, keyHash, scopes, rateLimit, createdBy, createdAt, lastUsedAt, revokedAt }]
+// }
+// Passwords are scrypt hashes ("scrypt:<salt>:<hash>"); only a SHA-256 of each session token and API key is
+// stored, the token itself lives in the browser cookie (or the script's config). This module owns the file
+// and keeps it in memory.
+const ROLES = ['viewer', 'editor', 'admin'];
+// API key scopes: read = GET accounts/folders/jobs/export, refresh = start and cancel fetches and refresh jobs,
+// write = add/remove/edit accounts and folders. Every key has read.
+const API_KEY_SCOPES = ['read', 'refresh', 'write'];
+const API_KEY_PREFIX = 'stk_';
+const DEFAULT_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60;
+// lastUsedAt is kept in memory on every request but only written to disk this often
+const KEY_USAGE_SAVE_MS = 60 * 1000;
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 7 * 24) * 3600 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+function checkPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function tokenHash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function roleAtLeast(role, minimum) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+function publicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+function publicKey(key) {
+    const { keyHash, ...rest } = key;
+    return rest;
+}
+
+// Returns an error message or null
+function validateUser({ username, password, role }, { partial = false } = {}) {
+    if (!partial || username !== undefined) {
+        if (typeof username !== 'string' || !/^[a-z0-9._-]{3,32}$/i.test(username)) return 'Username must be 3-32 letters, digits, ".", "_" or "-"';
+    }
+    if (!partial || password !== undefined) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) return `Password must have at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (!partial || role !== undefined) {
+        if (!ROLES.includes(role)) return `Role must be one of: ${ROLES.join(', ')}`;
+    }
+    return null;
+}
+
+function createAuth({ dataDir }) {
+    const file = path.join(dataDir, 'auth.json');
+    let data = { users: [], sessions: [], apiKeys: [] };
+    try {
+        if (fs.existsSync(file)) data = { users: [], sessions: [], apiKeys: [], ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (e) { console.error('Auth read error:', e.message); }
+
+    const usageSavedAt = new Map();
+
+    function save() {
+        const now = Date.now();
+        data.sessions = data.sessions.filter(s => Date.parse(s.expiresAt) > now);
+        writeFileAtomic(file, JSON.stringify(data, null, 2));
+    }
+
+    function findByName(username) {
+        return data.users.find(u => u.username.toLowerCase() === String(username).toLowerCase()) || null;
+    }
+
+    function adminCount() {
+        return data.users.filter(u => u.role === 'admin').length;
+    }
+
+    // First start: create the admin from ADMIN_USERNAME/ADMIN_PASSWORD, or with a random password printed once
+    function bootstrap() {
+        if (data.users.length > 0) return;
+        const username = process.env.ADMIN_USERNAME || 'admin';
+        const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+        createUser({ username, password, role: 'admin' });
+        if (process.env.ADMIN_PASSWORD) {
+            console.log(`[Auth] Created admin user "${username}"`);
+        } else {
+            console.log(`[Auth] Created admin user "${username}" with password: ${password}`);
+            console.log(`[Auth] Change it after the first login (or set ADMIN_PASSWORD before the first start).`);
+        }
+    }
+
+    function listUsers() {
+        return data.users.map(publicUser);
+    }
+
+    function getUser(id) {
+        const user = data.users.find(u => u.id === id);
+        return user ? publicUser(user) : null;
+    }
+
+    function createUser({ username, password, role }) {
+        const error = validateUser({ username, password, role });
+        if (error) throw Object.assign(new Error(error), { status: 400 });
+        if (findByName(username)) throw Object.assign(new Error('User already exists'), { status: 409 });
+        const user = {
+            id: 'u_' + crypto.randomBytes(6).toString('hex'),
+            username,
+            role,
+            passwordHash: hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+        data.users.push(user);
+        save();
+        return publicUser(user);
+    }
+
+    // fields: { role?, password? }. A password change signs the user out everywhere.
+    function updateUser(id, { role, password }) {
+        const user = data.users.find(u => u.id === id);
+        if (!user) return null;
+        const error = validateUser({ role, password }, { partial: true });
+        if (error) throw Object.assign(new Error(error), { status: 400 });
+        if (role !== undefined && user.role === 'admin' && role !== 'admin' && adminCount() === 1) {
+            throw Object.assign(new Error('Cannot demote the last admin'), { status: 409 });
+        }
+        if (role !== undefined) user.role = role;
+        if (password !== undefined) {
+            user.passwordHash = hashPassword(password);
+            data.sessions = data.sessions.filter(s => s.userId !== id);
+        }
+        save();
+        return publicUser(user);
+    }
+
+    function deleteUser(id) {
+        const user = data.users.find(u => u.id === id);
+        if (!user) return false;
+        if (user.role === 'admin' && adminCount() === 1) throw Object.assign(new Error('Cannot delete the last admin'), { status: 409 });
+        data.users = data.users.filter(u => u.id !== id);
+        data.sessions = data.sessions.filter(s => s.userId !== id);
+        save();
+        return true;
+    }
+
+    function verifyPassword(id, password) {
+        const user = data.users.find(u => u.id === id);
+        return !!user && checkPassword(String(password || ''), user.passwordHash);
+    }
+
+    // -> { token, session, user } or null when the credentials don't match
+    function login(username, password) {
+        const user = findByName(username);
+        // Hash anyway so unknown usernames take as long as wrong passwords
+        if (!user) {
+            checkPassword(String(password || ''), hashPassword('x'));
+            return null;
+        }
+        if (!checkPassword(String(password || ''), user.passwordHash)) return null;
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        const session = {
+            id: crypto.randomBytes(6).toString('hex'),
+            tokenHash: tokenHash(token),
+            userId: user.id,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+        };
+        data.sessions.push(session);
+        save();
+        return { token, session, user: publicUser(user) };
+    }
+
+    // -> { session, user } for a valid token, null otherwise. Sessions past half their lifetime are extended.
+    function authenticate(token) {
+        if (!token) return null;
+        const hash = tokenHash(token);
+        const session = data.sessions.find(s => s.tokenHash === hash);
+        if (!session) return null;
+        const now = Date.now();
+        const expires = Date.parse(session.expiresAt);
+        if (expires <= now) return null;
+        const user = data.users.find(u => u.id === session.userId);
+        if (!user) return null;
+        if (expires - now < SESSION_TTL_MS / 2) {
+            session.expiresAt = new Date(now + SESSION_TTL_MS).toISOString();
+            save();
+        }
+        return { session, user: publicUser(user) };
+    }
+
+    function logout(token) {
+        const hash = tokenHash(token || '');
+        const before = data.sessions.length;
+        data.sessions = data.sessions.filter(s => s.tokenHash !== hash);
+        if (data.sessions.length !== before) save();
+    }
+
+    function listApiKeys() {
+        return data.apiKeys.map(publicKey);
+    }
+
+    // -> { key, token }; the token is only ever returned here
+    function createApiKey({ label, scopes, rateLimit }, createdBy) {
+        if (typeof label !== 'string' || !label.trim() || label.length > 64) throw Object.assign(new Error('Label is required (max 64 characters)'), { status: 400 });
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(s => !API_KEY_SCOPES.includes(s))) {
+            throw Object.assign(new Error(`Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`), { status: 400 });
+        }
+        const limit = rateLimit === undefined || rateLimit === null ? DEFAULT_KEY_RATE_LIMIT : Number(rateLimit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 10000) throw Object.assign(new Error('rateLimit must be an integer between 1 and 10000 (requests per minute)'), { status: 400 });
+
+        const token = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const key = {
+            id: 'k_' + crypto.randomBytes(6).toString('hex'),
+            label: label.trim(),
+            prefix: token.slice(0, API_KEY_PREFIX.length + 6),
+            keyHash: tokenHash(token),
+            // read is implied
+            scopes: API_KEY_SCOPES.filter(s => s === 'read' || scopes.includes(s)),
+            rateLimit: limit,
+            createdBy: createdBy || null,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+        data.apiKeys.push(key);
+        save();
+        return { key: publicKey(key), token };
+    }
+
+    function revokeApiKey(id) {
+        const key = data.apiKeys.find(k => k.id === id);
+        if (!key) return null;
+        if (!key.revokedAt) {
+            key.revokedAt = new Date().toISOString();
+            save();
+        }
+        return publicKey(key);
+    }
+
+    // -> the key for a valid, unrevoked token (lastUsedAt updated), null otherwise
+    function authenticateKey(token) {
+        if (!token || !token.startsWith(API_KEY_PREFIX)) return null;
+        const hash = tokenHash(token);
+        const key = data.apiKeys.find(k => k.keyHash === hash);
+        if (!key || key.revokedAt) return null;
+        const now = Date.now();
+        key.lastUsedAt = new Date(now).toISOString();
+        if (now - (usageSavedAt.get(key.id) || 0) > KEY_USAGE_SAVE_MS) {
+            usageSavedAt.set(key.id, now);
+            save();
+        }
+        return publicKey(key);
+    }
+
+    bootstrap();
+
+    return {
+        file, listUsers, getUser, createUser, updateUser, deleteUser, verifyPassword, login, authenticate, logout,
+        listApiKeys, createApiKey, revokeApiKey, authenticateKey
+    };
+}
+
+module.exports = { ROLES, API_KEY_SCOPES, SESSION_TTL_MS, MIN_PASSWORD_LENGTH, createAuth, roleAtLeast };
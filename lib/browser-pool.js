@@ -0,0 +1,131 @@
+// Shared headless browsers for the scrapers in lib/platforms. Instead of launching Chromium per account,
+// callers lease a page with withPage(fn): it lives in an incognito context of its own (cookies and storage never
+// cross accounts) on one of `size` browsers, each serving at most `pagesPerBrowser` leases at a time. Callers past
+// that wait in line. A browser that crashes or disconnects is dropped and a new one is launched for the next
+// lease; a browser with no leases for idleMs is closed.
+// launch() -> a puppeteer Browser (see launchBrowser in lib/platforms/utils).
+function createBrowserPool({ launch, size = 1, pagesPerBrowser = 2, idleMs = 60000 }) {
+    const browsers = []; // { browser, leases, idleTimer }
+    const waiting = []; // { signal, resolve, reject, onAbort }
+    let launching = 0;
+
+    const hasRoom = entry => entry.browser.connected && entry.leases < pagesPerBrowser;
+    const canServe = () => browsers.some(hasRoom) || browsers.length + launching < size;
+
+    function take(entry) {
+        entry.leases++;
+        clearTimeout(entry.idleTimer);
+        entry.idleTimer = null;
+    }
+
+    function drop(entry) {
+        const index = browsers.indexOf(entry);
+        if (index === -1) return;
+        browsers.splice(index, 1);
+        clearTimeout(entry.idleTimer);
+        serveWaiting();
+    }
+
+    function release(entry) {
+        entry.leases--;
+        if (entry.leases === 0 && browsers.includes(entry)) {
+            entry.idleTimer = setTimeout(() => {
+                if (entry.leases > 0) return;
+                console.log('[Browser] Closing idle browser');
+                drop(entry);
+                entry.browser.close().catch(() => { });
+            }, idleMs);
+            entry.idleTimer.unref?.();
+        }
+        serveWaiting();
+    }
+
+    function serveWaiting() {
+        while (waiting.length > 0 && canServe()) {
+            const waiter = waiting.shift();
+            waiter.signal?.removeEventListener('abort', waiter.onAbort);
+            acquire(waiter.signal).then(waiter.resolve, waiter.reject);
+        }
+    }
+
+    // -> a browser entry with a lease taken. Everything up to the launch runs synchronously, so the
+    // bookkeeping (leases, launching) is settled before anyone else gets to look at it.
+    async function acquire(signal) {
+        signal?.throwIfAborted();
+        const free = browsers.find(hasRoom);
+        if (free) {
+            take(free);
+            return free;
+        }
+        if (browsers.length + launching >= size) {
+            return new Promise((resolve, reject) => {
+                const waiter = { signal, resolve, reject, onAbort: null };
+                if (signal) {
+                    waiter.onAbort = () => {
+                        waiting.splice(waiting.indexOf(waiter), 1);
+                        reject(signal.reason);
+                    };
+                    signal.addEventListener('abort', waiter.onAbort, { once: true });
+                }
+                waiting.push(waiter);
+            });
+        }
+
+        launching++;
+        let browser;
+        try {
+            browser = await launch();
+        } finally {
+            launching--;
+            // A failed launch frees the slot for whoever is waiting (they will most likely fail the same way)
+            if (!browser) serveWaiting();
+        }
+        console.log(`[Browser] Launched browser ${browsers.length + 1}/${size}`);
+        const entry = { browser, leases: 0, idleTimer: null };
+        browsers.push(entry);
+        browser.once('disconnected', () => {
+            if (browsers.includes(entry)) console.log('[Browser] Browser disconnected, it will be replaced');
+            drop(entry);
+        });
+        take(entry);
+        // Callers that queued up while it was starting can use its other pages
+        serveWaiting();
+        return entry;
+    }
+
+    // Run fn(page) on a fresh incognito page and close its context afterwards, whatever fn does.
+    // An aborted signal gives up the wait for a browser or closes the context under fn. proxy
+    // ({ server: 'socks5://host:port', username?, password? }) routes that context alone through a proxy.
+    async function withPage(fn, { signal, proxy } = {}) {
+        const entry = await acquire(signal);
+        let context = null;
+        const closeContext = () => context?.close().catch(() => { });
+        try {
+            signal?.throwIfAborted();
+            context = await entry.browser.createBrowserContext(proxy ? { proxyServer: proxy.server } : {});
+            signal?.throwIfAborted();
+            signal?.addEventListener('abort', closeContext, { once: true });
+            const page = await context.newPage();
+            if (proxy?.username) await page.authenticate({ username: proxy.username, password: proxy.password });
+            return await fn(page);
+        } finally {
+            signal?.removeEventListener('abort', closeContext);
+            await closeContext();
+            release(entry);
+        }
+    }
+
+    // Pool state for logs and diagnostics
+    function stats() {
+        return {
+            browsers: browsers.length,
+            launching,
+            leases: browsers.reduce((sum, e) => sum + e.leases, 0),
+            waiting: waiting.length
+        };
+    }
+
+    return { withPage, stats };
+}
+
+module.exports = { createBrowserPool };
@@ -0,0 +1,147 @@
+// Session cookies of an account, pasted or uploaded in any of the formats people have at hand:
+//  - Netscape cookies.txt (yt-dlp, "Get cookies.txt" extensions), #HttpOnly_ lines included
+//  - JSON from browser cookie-export extensions (Cookie-Editor, EditThisCookie: expirationDate) or Puppeteer/
+//    Playwright (expires, -1 for session cookies), as an array or { cookies: [...] }
+//  - a "name=value; name2=value2" Cookie header (what older versions stored; no domain or expiry)
+// Everything becomes a jar: [{ name, value, domain, path, expires, secure, httpOnly }], expires in Unix seconds
+// (0: session cookie) and domain '' when the format has none. Accounts store the jar as JSON (encrypted).
+function fail(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function toCookie({ name, value, domain, path, expires, secure, httpOnly }) {
+    return {
+        name: String(name).trim(),
+        value: String(value ?? '').trim(),
+        domain: String(domain || '').trim().toLowerCase(),
+        path: path || '/',
+        expires: Number(expires) > 0 ? Math.floor(Number(expires)) : 0,
+        secure: secure !== false,
+        httpOnly: !!httpOnly
+    };
+}
+
+function parseJson(text) {
+    let data;
+    try { data = JSON.parse(text); } catch (e) { return null; }
+    const list = Array.isArray(data) ? data : data?.cookies;
+    if (!Array.isArray(list)) return null;
+    return list.filter(c => c && c.name).map(c => toCookie({
+        ...c,
+        expires: c.expirationDate ?? (c.session ? 0 : c.expires)
+    }));
+}
+
+// domain, includeSubdomains, path, secure, expires, name, value (tab separated)
+function parseNetscape(text) {
+    const cookies = [];
+    for (let line of text.split(/\r?\n/)) {
+        let httpOnly = false;
+        if (line.startsWith('#HttpOnly_')) {
+            httpOnly = true;
+            line = line.slice('#HttpOnly_'.length);
+        } else if (line.startsWith('#') || !line.trim()) {
+            continue;
+        }
+        const fields = line.split('\t');
+        if (fields.length < 7) continue;
+        const [domain, , path, secure, expires, name, ...value] = fields;
+        if (name) cookies.push(toCookie({ name, value: value.join('\t'), domain, path, expires, secure: secure.toUpperCase() === 'TRUE', httpOnly }));
+    }
+    return cookies;
+}
+
+function parseHeader(text) {
+    const cookies = [];
+    for (const pair of text.replace(/^cookie:\s*/i, '').replace(/[\r\n]+/g, ' ').split(/;\s*/)) {
+        const [name, ...value] = pair.split('=');
+        if (name.trim() && value.length > 0) cookies.push(toCookie({ name, value: value.join('=') }));
+    }
+    return cookies;
+}
+
+// Any of the formats above -> { format: 'json' | 'netscape' | 'header', cookies }; cookies is empty when nothing
+// in the text looks like a cookie
+function parseCookies(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) return { format: null, cookies: [] };
+    if (/^[[{]/.test(trimmed)) {
+        const cookies = parseJson(trimmed);
+        if (cookies) return { format: 'json', cookies };
+    }
+    if (/\t/.test(trimmed)) {
+        const cookies = parseNetscape(trimmed);
+        if (cookies.length > 0) return { format: 'netscape', cookies };
+    }
+    return { format: 'header', cookies: parseHeader(trimmed) };
+}
+
+// Cookies of one of hosts ('instagram.com' covers .instagram.com and www.instagram.com); domainless ones stay
+function forHosts(cookies, hosts) {
+    return cookies.filter(c => {
+        if (!c.domain) return true;
+        const domain = c.domain.replace(/^\./, '');
+        return hosts.some(host => domain === host || domain.endsWith('.' + host));
+    });
+}
+
+const isExpired = (cookie, now = Date.now()) => cookie.expires > 0 && cookie.expires * 1000 <= now;
+
+// Cookies still valid at now, one per name/domain/path (the later one wins, as in a browser)
+function liveCookies(cookies, now = Date.now()) {
+    const byKey = new Map();
+    for (const c of cookies) {
+        if (!isExpired(c, now)) byKey.set(`${c.name}\t${c.domain}\t${c.path}`, c);
+    }
+    return [...byKey.values()];
+}
+
+// "name=value; name2=value2", each name once
+function cookieHeader(cookies) {
+    const byName = new Map();
+    for (const c of liveCookies(cookies)) if (!byName.has(c.name)) byName.set(c.name, c.value);
+    return [...byName].map(([name, value]) => `${name}=${value}`).join('; ');
+}
+
+// Netscape file content; cookies without a domain get defaultDomain
+function netscapeFile(cookies, defaultDomain) {
+    let content = '# Netscape HTTP Cookie File\n';
+    for (const c of liveCookies(cookies)) {
+        const domain = c.domain || defaultDomain;
+        content += `${c.httpOnly ? '#HttpOnly_' : ''}${domain}\t${domain.startsWith('.') ? 'TRUE' : 'FALSE'}\t${c.path}\t` +
+            `${c.secure ? 'TRUE' : 'FALSE'}\t${c.expires}\t${c.name}\t${c.value}\n`;
+    }
+    return content;
+}
+
+// Earliest expiry (ISO) among the session keys, or among all cookies when no key is required; null if they never expire
+function expiryOf(cookies, required = []) {
+    const relevant = required.length > 0 ? cookies.filter(c => required.includes(c.name)) : cookies;
+    const times = relevant.map(c => c.expires).filter(t => t > 0);
+    return times.length > 0 ? new Date(Math.min(...times) * 1000).toISOString() : null;
+}
+
+// Text pasted or uploaded for a platform -> { jar, info }, or throws (400) with what is wrong with it.
+// hosts keeps cookies of other sites out of the jar (a full browser export); required lists the session
+// cookies the platform needs to see a logged-in visitor. info = { format, count, expiresAt, updatedAt }.
+function prepareCookies(text, { hosts = [], required = [], now = Date.now() } = {}) {
+    const { format, cookies: parsed } = parseCookies(text);
+    if (parsed.length === 0) throw fail(400, 'Nenhum cookie encontrado (use cookies.txt, o JSON exportado pelo navegador ou "nome=valor; nome2=valor2")');
+    const cookies = hosts.length > 0 ? forHosts(parsed, hosts) : parsed;
+    if (cookies.length === 0) throw fail(400, `Nenhum cookie de ${hosts[0]} no arquivo`);
+
+    const names = new Set(cookies.map(c => c.name));
+    const missing = required.filter(name => !names.has(name));
+    if (missing.length > 0) throw fail(400, `Faltam cookies de sessão: ${missing.join(', ')}`);
+    const expired = required.filter(name => cookies.filter(c => c.name === name).every(c => isExpired(c, now)));
+    if (expired.length > 0) throw fail(400, `Cookies de sessão expirados: ${expired.join(', ')}. Exporte-os de novo com a conta logada`);
+
+    const jar = liveCookies(cookies, now);
+    if (jar.length === 0) throw fail(400, 'Todos os cookies estão expirados. Exporte-os de novo com a conta logada');
+    return {
+        jar,
+        info: { format, count: jar.length, expiresAt: expiryOf(jar, required), updatedAt: new Date(now).toISOString() }
+    };
+}
+
+module.exports = { parseCookies, forHosts, liveCookies, cookieHeader, netscapeFile, expiryOf, prepareCookies };
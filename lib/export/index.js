@@ -0,0 +1,132 @@
+const { toXlsx } = require('./xlsx');
+
+// Export datasets for GET /api/export. Column names and order are a contract: spreadsheets link to them,
+// so existing columns are never renamed, removed or reordered; new ones go at the end.
+// Values are raw numbers (no "1.2M"), ISO 8601 dates and empty cells for "not available on this platform".
+const DATASETS = {
+    accounts: [
+        'platform', 'accountId', 'handle', 'name', 'url', 'folderId', 'folderName', 'addedAt', 'lastFetch',
+        'followers', 'postCount', 'videoCount', 'shortCount', 'clipCount',
+        'totalRecentViews', 'totalRecentLikes', 'totalRecentComments', 'totalShares', 'engagementRate',
+        'avgVodViews', 'streamsPerWeek', 'isVerified', 'error'
+    ],
+    content: [
+        'platform', 'accountId', 'handle', 'contentId', 'type', 'title', 'url', 'uploadedAt',
+        'views', 'likes', 'comments', 'shares', 'duration', 'viewsGained', 'viewsPerHour', 'views24h', 'views7d', 'fetchedAt'
+    ],
+    history: [
+        'platform', 'accountId', 'handle', 'at', 'followers', 'totalRecentViews', 'totalRecentLikes',
+        'totalRecentComments', 'engagementRate', 'videoCount', 'shortCount', 'postCount'
+    ]
+};
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+function num(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function iso(ms) {
+    return ms === null || ms === undefined || Number.isNaN(ms) ? null : new Date(ms).toISOString();
+}
+
+function accountRow(account, folderName) {
+    const m = account.metrics || {};
+    return {
+        platform: account.platform,
+        accountId: account.id,
+        handle: account.handle,
+        name: account.name || account.handle,
+        url: account.url,
+        folderId: account.folderId || null,
+        folderName: folderName || null,
+        addedAt: account.addedAt || null,
+        lastFetch: account.lastFetch || null,
+        followers: num(m.subscribers ?? m.followers),
+        postCount: num(m.postCount),
+        videoCount: num(m.videoCount),
+        shortCount: num(m.shortCount),
+        clipCount: num(m.clipCount),
+        totalRecentViews: num(m.totalRecentViews),
+        totalRecentLikes: num(m.totalRecentLikes),
+        totalRecentComments: num(m.totalRecentComments),
+        totalShares: num(m.totalShares ?? m.totalPostShares),
+        engagementRate: num(m.engagementRate),
+        avgVodViews: num(m.avgVodViews),
+        streamsPerWeek: num(m.streamsPerWeek),
+        isVerified: typeof m.isVerified === 'boolean' ? m.isVerified : null,
+        error: m.error || null
+    };
+}
+
+// uploadTime(item) -> ms or null (the server's contentUploadTime)
+function contentRows(account, uploadTime) {
+    return (account.recentContent || []).map(item => ({
+        platform: account.platform,
+        accountId: account.id,
+        handle: account.handle,
+        contentId: item.id != null ? String(item.id) : null,
+        type: item.type || null,
+        title: item.title || null,
+        url: item.url || null,
+        uploadedAt: iso(uploadTime(item)),
+        views: num(item.views),
+        likes: num(item.likes),
+        comments: num(item.comments),
+        shares: num(item.shares),
+        duration: num(item.duration),
+        viewsGained: num(item.viewsGained),
+        viewsPerHour: num(item.viewsPerHour),
+        views24h: num(item.views24h),
+        views7d: num(item.views7d),
+        fetchedAt: account.lastFetch || null
+    }));
+}
+
+function historyRows(account, snapshots) {
+    return snapshots.map(s => ({
+        platform: account.platform,
+        accountId: account.id,
+        handle: account.handle,
+        at: s.at,
+        followers: num(s.followers),
+        totalRecentViews: num(s.totalRecentViews),
+        totalRecentLikes: num(s.totalRecentLikes),
+        totalRecentComments: num(s.totalRecentComments),
+        engagementRate: num(s.engagementRate),
+        videoCount: num(s.videoCount),
+        shortCount: num(s.shortCount),
+        postCount: num(s.postCount)
+    }));
+}
+
+// RFC 4180. Text cells starting with = + - @ get a leading ' so spreadsheet apps don't run them as formulas.
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(','));
+    return lines.join('\r\n') + '\r\n';
+}
+
+// -> { contentType, extension, body }
+function serialize(format, dataset, rows) {
+    const columns = DATASETS[dataset];
+    const { contentType, extension } = FORMATS[format];
+    let body;
+    if (format === 'csv') body = toCsv(columns, rows);
+    else if (format === 'xlsx') body = toXlsx(dataset, columns, rows.map(row => columns.map(c => row[c])));
+    else body = JSON.stringify({ dataset, columns, rows: rows.map(row => Object.fromEntries(columns.map(c => [c, row[c] ?? null]))) });
+    return { contentType, extension, body };
+}
+
+module.exports = { DATASETS, FORMATS, accountRow, contentRows, historyRows, serialize };
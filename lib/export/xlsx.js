@@ -0,0 +1,132 @@
+const zlib = require('zlib');
+
+// Minimal single-sheet .xlsx writer: inline strings and plain numbers, no styles or shared strings.
+// An .xlsx is a zip of a few XML parts; the zip container is written by hand below (deflate + CRC32 from zlib).
+
+function xmlEscape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    return name;
+}
+
+function cell(ref, value) {
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+}
+
+function sheetXml(header, rows) {
+    const lines = [header, ...rows].map((values, r) =>
+        `<row r="${r + 1}">${values.map((v, c) => cell(columnName(c) + (r + 1), v)).join('')}</row>`);
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${lines.join('')}</sheetData></worksheet>`;
+}
+
+// DOS time and date words of a zip entry (local time, 2-second resolution) -> the two as one 32-bit value
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return ((day << 16) | time) >>> 0;
+}
+
+function zip(files, modified = new Date()) {
+    const stamp = dosDateTime(modified);
+    const locals = [];
+    const central = [];
+    let offset = 0;
+    for (const { name, data } of files) {
+        const nameBuf = Buffer.from(name, 'utf8');
+        const raw = Buffer.from(data, 'utf8');
+        const deflated = zlib.deflateRawSync(raw);
+        const crc = zlib.crc32(raw);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);              // version needed
+        local.writeUInt16LE(0x0800, 6);          // UTF-8 names
+        local.writeUInt16LE(8, 8);               // deflate
+        local.writeUInt32LE(stamp, 10);          // mod time/date
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(deflated.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBuf.length, 26);
+        local.writeUInt16LE(0, 28);
+        locals.push(local, nameBuf, deflated);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(20, 4);              // version made by
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt16LE(0x0800, 8);
+        entry.writeUInt16LE(8, 10);
+        entry.writeUInt32LE(stamp, 12);
+        entry.writeUInt32LE(crc, 16);
+        entry.writeUInt32LE(deflated.length, 20);
+        entry.writeUInt32LE(raw.length, 24);
+        entry.writeUInt16LE(nameBuf.length, 28);
+        entry.writeUInt32LE(offset, 42);         // extra/comment/disk/attrs stay 0
+        central.push(entry, nameBuf);
+
+        offset += local.length + nameBuf.length + deflated.length;
+    }
+
+    const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, ...central, end]);
+}
+
+// header: column names; rows: arrays of values in the same order -> Buffer with the .xlsx file
+function toXlsx(sheetName, header, rows) {
+    const name = xmlEscape(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+    return zip([
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '</Relationships>'
+        },
+        { name: 'xl/worksheets/sheet1.xml', data: sheetXml(header, rows) }
+    ]);
+}
+
+module.exports = { toXlsx };
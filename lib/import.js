@@ -0,0 +1,106 @@
+const { PLATFORM_IDS, parseProfileLink } = require('./platforms');
+
+// Bulk import input (POST /api/import) is either
+//   - CSV with the columns platform, handle, name, folder, cookie (header row optional, "url" works for handle;
+//     comma or semicolon separated, quoted fields for values that contain the separator), or
+//   - a plain list with one profile link per line.
+// Platform can be left empty when the handle is a link: it is detected from the site.
+const COLUMNS = ['platform', 'handle', 'name', 'folder', 'cookie'];
+const HEADER_ALIASES = {
+    url: 'handle', link: 'handle', profile: 'handle', perfil: 'handle', username: 'handle',
+    plataforma: 'platform', rede: 'platform', nome: 'name', pasta: 'folder', cookies: 'cookie'
+};
+// Names people type in the platform column
+const PLATFORM_ALIASES = { x: 'twitter', 'twitter / x': 'twitter', yt: 'youtube', ig: 'instagram', fb: 'facebook', bsky: 'bluesky' };
+
+// RFC 4180 fields; returns [{ line, cells }] with the 1-based line each record starts on
+function parseCsv(text, delimiter) {
+    const records = [];
+    let cells = [], field = '', quoted = false, line = 1, start = 1, touched = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else {
+                if (ch === '\n') line++;
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+            touched = true;
+        } else if (ch === delimiter) {
+            cells.push(field);
+            field = '';
+            touched = true;
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            if (touched || field.trim()) records.push({ line: start, cells: [...cells, field] });
+            cells = []; field = ''; touched = false;
+            start = ++line;
+        } else {
+            field += ch;
+        }
+    }
+    if (touched || field.trim()) records.push({ line: start, cells: [...cells, field] });
+    return records;
+}
+
+// The separator used in the first line outside quotes (',' unless only ';' shows up)
+function detectDelimiter(text) {
+    const first = text.split(/\r?\n/).find(l => l.trim()) || '';
+    const unquoted = first.replace(/"[^"]*"/g, '');
+    return !unquoted.includes(',') && unquoted.includes(';') ? ';' : ',';
+}
+
+// -> [{ line, input, platform, handle, name, folder, cookie }] with raw (trimmed) values
+function parseImportText(text) {
+    const clean = String(text || '').replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(clean);
+    const records = parseCsv(clean, delimiter);
+
+    // Plain link list: single-column records
+    if (records.every(r => r.cells.length === 1)) {
+        return records.map(r => ({ line: r.line, input: r.cells[0].trim(), handle: r.cells[0].trim() }));
+    }
+
+    let columns = COLUMNS;
+    const header = records[0]?.cells.map(c => c.trim().toLowerCase()).map(c => HEADER_ALIASES[c] || c);
+    if (header && header.includes('handle') && header.every(c => COLUMNS.includes(c) || c === '')) {
+        columns = header;
+        records.shift();
+    }
+
+    return records.map(r => {
+        const row = { line: r.line, input: r.cells.join(delimiter).trim() };
+        columns.forEach((col, i) => {
+            if (col && r.cells[i] !== undefined) row[col] = r.cells[i].trim();
+        });
+        return row;
+    });
+}
+
+// Turn a raw row into { platform, handle, name, folder, cookie } or { error }
+function normalizeRow(row) {
+    const rawPlatform = (row.platform || '').toLowerCase();
+    let platform = PLATFORM_ALIASES[rawPlatform] || rawPlatform || null;
+    if (platform && !PLATFORM_IDS.includes(platform)) return { error: `Plataforma desconhecida: ${row.platform}` };
+
+    let handle = (row.handle || '').replace(/^@/, '');
+    if (!handle) return { error: 'Handle/URL vazio' };
+
+    const link = parseProfileLink(handle);
+    if (link) {
+        if (platform && link.platform !== platform) return { error: `Link de ${link.platform}, mas a plataforma informada é ${platform}` };
+        if (!link.handle) return { error: 'O link não aponta para um perfil' };
+        platform = link.platform;
+        handle = link.handle;
+    } else if (/^https?:\/\//i.test(handle)) {
+        return { error: 'Site não reconhecido' };
+    }
+    if (!platform) return { error: 'Plataforma não informada (use um link do perfil ou a coluna platform)' };
+
+    return { platform, handle, name: row.name || null, folder: row.folder || null, cookie: row.cookie || null };
+}
+
+module.exports = { parseImportText, normalizeRow };
@@ -0,0 +1,140 @@
+const { httpFetch, sumContent, percent, platformError } = require('./utils');
+
+// Bluesky: public AT Protocol AppView (no auth). BSKY_APPVIEW_URL points it elsewhere, e.g. a local stub.
+const APPVIEW_URL = (process.env.BSKY_APPVIEW_URL || 'https://public.api.bsky.app').replace(/\/+$/, '');
+const MAX_POSTS = 30;
+
+// "@name", "name", "name.bsky.social", a did:plc:... or a bsky.app profile URL
+function normalizeHandle(handle) {
+    const h = handle.replace(/^@/, '').replace(/^(https?:\/\/)?(www\.)?bsky\.app\/profile\//i, '').split(/[/?#]/)[0];
+    if (h.startsWith('did:')) return h;
+    return (h.includes('.') ? h : `${h}.bsky.social`).toLowerCase();
+}
+
+function buildUrl(handle) {
+    return `https://bsky.app/profile/${normalizeHandle(handle)}`;
+}
+
+// bsky.app/profile/<handle or did>, also inside post links
+function parseProfileUrl(url) {
+    const m = url.pathname.match(/^\/profile\/([^/]+)/);
+    return m ? normalizeHandle(decodeURIComponent(m[1])) : null;
+}
+
+async function xrpc(method, params) {
+    const res = await httpFetch(`${APPVIEW_URL}/xrpc/${method}?${new URLSearchParams(params)}`, {
+        headers: { 'Accept': 'application/json' },
+        signal: AbortSignal.timeout(15000)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(`${method}: ${data.message || data.error || `HTTP ${res.status}`}`);
+    return data;
+}
+
+// Profile and post links -> { handle, id: DID }; a link by DID gets the current handle back
+async function resolveLink(url, handle) {
+    if (!handle) return null;
+    const profile = await xrpc('app.bsky.actor.getProfile', { actor: handle });
+    // Accounts whose domain no longer verifies report handle.invalid; the DID still works as a handle
+    return profile.did ? { handle: profile.handle === 'handle.invalid' ? profile.did : profile.handle, id: profile.did } : null;
+}
+
+// Handle (or DID) -> { did, handle, profile }. getProfile takes either as actor and answers with the DID, so the
+// profile is read here once and fetchProfile only reshapes it.
+async function resolve(account) {
+    const handle = normalizeHandle(account.handle);
+    try {
+        const profile = await xrpc('app.bsky.actor.getProfile', { actor: handle });
+        return { did: profile.did, handle, profile };
+    } catch (e) {
+        throw platformError('Perfil não encontrado no Bluesky.', e);
+    }
+}
+
+async function fetchProfile({ profile }) {
+    console.log(`  [Bluesky] ${profile.handle}: ${profile.followersCount || 0} followers, ${profile.postsCount || 0} posts`);
+    return {
+        handle: profile.handle,
+        displayName: profile.displayName || profile.handle,
+        avatar: profile.avatar || null,
+        banner: profile.banner || null,
+        followers: profile.followersCount || 0,
+        follows: profile.followsCount || 0,
+        postCount: profile.postsCount || 0
+    };
+}
+
+// First image (or external link card) of a post embed
+function embedThumbnail(embed) {
+    if (!embed) return null;
+    return embed.images?.[0]?.thumb || embed.thumbnail || embed.external?.thumb || embed.media?.images?.[0]?.thumb || null;
+}
+
+// Own posts only: reposts of other accounts are skipped, replies are filtered out by the feed itself
+async function fetchContent({ did }, profile) {
+    const items = [];
+    try {
+        const { feed = [] } = await xrpc('app.bsky.feed.getAuthorFeed', { actor: did, limit: MAX_POSTS, filter: 'posts_no_replies' });
+        for (const { post, reason } of feed) {
+            if (!post || reason) continue;
+            const rkey = post.uri.split('/').pop();
+            items.push({
+                id: post.cid,
+                title: (post.record?.text || 'Post').slice(0, 100),
+                url: `https://bsky.app/profile/${profile.handle}/post/${rkey}`,
+                thumbnail: embedThumbnail(post.embed),
+                views: 0,
+                likes: post.likeCount || 0,
+                comments: post.replyCount || 0,
+                shares: post.repostCount || 0,
+                quotes: post.quoteCount || 0,
+                uploadDate: post.record?.createdAt || post.indexedAt || null,
+                type: 'post'
+            });
+        }
+        console.log(`  [Bluesky] Author feed: ${items.length} posts`);
+    } catch (e) {
+        console.log(`  [Bluesky] Author feed failed (profile data still OK): ${e.message}`);
+    }
+    return items;
+}
+
+// Bluesky has no view counts, so engagementRate is likes + replies relative to followers (like Instagram)
+function computeMetrics(profile, items) {
+    const totals = sumContent(items);
+    const quotes = items.reduce((sum, item) => sum + (item.quotes || 0), 0);
+    return {
+        avatar: profile.avatar,
+        banner: profile.banner,
+        displayName: profile.displayName,
+        followers: profile.followers,
+        follows: profile.follows,
+        postCount: profile.postCount,
+        totalRecentViews: 0,
+        totalRecentLikes: totals.likes,
+        totalRecentComments: totals.comments,
+        totalShares: totals.shares,
+        totalQuotes: quotes,
+        engagementRate: percent(totals.likes + totals.comments, profile.followers)
+    };
+}
+
+// Bluesky has no private accounts; "verified" is the blue check issued by trusted verifiers
+async function verify(handle) {
+    const profile = await xrpc('app.bsky.actor.getProfile', { actor: normalizeHandle(handle) });
+    return {
+        name: profile.displayName || profile.handle,
+        avatar: profile.avatar || null,
+        followers: profile.followersCount ?? null,
+        isPrivate: false,
+        isVerified: profile.verification ? profile.verification.verifiedStatus === 'valid' : null
+    };
+}
+
+module.exports = {
+    id: 'bluesky',
+    label: 'Bluesky',
+    hosts: ['bsky.app'],
+    capabilities: { followers: 'followers', contentTypes: ['post'], cookies: false, browser: false },
+    buildUrl, parseProfileUrl, resolveLink, resolve, fetchProfile, fetchContent, computeMetrics, verify
+};
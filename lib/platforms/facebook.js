@@ -0,0 +1,523 @@
+const { BROWSER_UA, fmt, fetchHtml, parseMetricStr, extractInfo, processInBatches, ytDlpCookieFile, puppeteerCookies, reportCookieRejected, isLoginWall, withBrowserPage, httpFetch, sumContent, percent, platformError } = require('./utils');
+
+// Facebook pages: Graph API when a token is configured, otherwise a real browser + yt-dlp for the videos
+const FB_API = 'https://graph.facebook.com/v21.0';
+
+// Page name, or the numeric id of a profile without one (profile.php?id=)
+function buildUrl(handle) {
+    return /^\d+$/.test(handle) ? `https://www.facebook.com/profile.php?id=${handle}` : `https://www.facebook.com/${handle}`;
+}
+
+const RESERVED_PATHS = ['watch', 'groups', 'events', 'photo', 'photo.php', 'story.php', 'permalink.php', 'share', 'reel', 'sharer', 'login'];
+
+// facebook.com/page-name, or the numeric id of a profile.php?id= link
+function parseProfileUrl(url) {
+    if (url.pathname === '/profile.php') {
+        const id = url.searchParams.get('id');
+        return id && /^\d+$/.test(id) ? id : null;
+    }
+    const first = url.pathname.split('/').filter(Boolean)[0];
+    return first && !RESERVED_PATHS.includes(first.toLowerCase()) ? first : null;
+}
+
+// A numeric handle (profile.php links) is the page id already; post links (story.php, permalink.php) name the
+// owner in ?id=; share, watch and fb.watch links are followed to the page they point at (og:url, or ?next= on a
+// login wall)
+const idOf = handle => /^\d+$/.test(handle) ? handle : null;
+
+async function resolveLink(url, handle) {
+    if (handle) return idOf(handle) ? { handle, id: handle } : null;
+    const ownerId = url.searchParams.get('id');
+    if (/^\/(story|permalink)\.php$/.test(url.pathname) && idOf(ownerId || '')) {
+        return { handle: ownerId, id: ownerId };
+    }
+    const { url: finalUrl, html } = await fetchHtml(url.href);
+    const candidates = [
+        html.match(/<meta property="og:url" content="([^"]+)"/)?.[1]?.replace(/&amp;/g, '&'),
+        new URL(finalUrl).searchParams.get('next'),
+        finalUrl
+    ];
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        try {
+            const target = new URL(candidate);
+            if (!/(^|\.)facebook\.com$/i.test(target.hostname)) continue;
+            const page = parseProfileUrl(target);
+            if (page) return { handle: page, id: idOf(page) };
+        } catch (e) { }
+    }
+    return null;
+}
+
+// The Graph API takes the page name or the numeric id alike
+async function resolve(account, ctx) {
+    return {
+        url: account.url,
+        handle: account.handle,
+        pageId: account.platformId || account.handle,
+        accountId: account.id,
+        cookie: account.cookie,
+        token: ctx.settings.facebookToken || ''
+    };
+}
+
+// STRATEGY 1: Graph API (when token is available)
+async function fetchGraphProfile({ handle, token }, pageId) {
+    console.log(`  [Facebook] Strategy 1: Graph API with token...`);
+
+    // Step 1: Get all pages this user manages to find matching page + page token
+    let pageAccessToken = token; // fallback to user token
+    try {
+        const accountsRes = await httpFetch(`${FB_API}/me/accounts?fields=id,name,access_token,category,fan_count,followers_count&access_token=${token}`);
+        const accountsData = await accountsRes.json();
+        const managedPages = accountsData.data || [];
+        console.log(`  [Facebook] User manages ${managedPages.length} pages`);
+
+        if (managedPages.length > 0) {
+            // Try to match by ID or name
+            const matched = managedPages.find(p =>
+                p.id === pageId ||
+                p.name?.toLowerCase() === pageId.toLowerCase() ||
+                p.name?.toLowerCase().includes(pageId.toLowerCase())
+            );
+
+            if (matched) {
+                console.log(`  [Facebook] Matched managed page: "${matched.name}" (ID: ${matched.id})`);
+                pageId = matched.id;
+                pageAccessToken = matched.access_token || token;
+            } else {
+                console.log(`  [Facebook] Page "${pageId}" not found in managed pages. Trying direct access...`);
+            }
+        }
+    } catch (e) {
+        console.log(`  [Facebook] Failed to fetch managed pages: ${e.message}`);
+    }
+
+    // Step 2: Fetch page info using the best token available
+    const pageFields = 'id,name,about,category,fan_count,followers_count,picture.type(large),cover,link,website,description';
+    const pageRes = await httpFetch(`${FB_API}/${pageId}?fields=${pageFields}&access_token=${pageAccessToken}`);
+    const pageData = await pageRes.json();
+
+    if (pageData.error) throw new Error(pageData.error.message || 'Erro Graph API');
+
+    const profile = {
+        source: 'graph',
+        pageId: pageData.id,
+        pageAccessToken,
+        avatar: pageData.picture?.data?.url || null,
+        followers: pageData.followers_count || 0,
+        pageLikes: pageData.fan_count || 0,
+        pageName: pageData.name || handle,
+        pageCategory: pageData.category || null
+    };
+    console.log(`  [Facebook] Page: ${profile.pageName} (ID: ${profile.pageId}) — ${fmt(profile.followers)} followers, ${fmt(profile.pageLikes)} likes`);
+    return profile;
+}
+
+// STRATEGY 2: Puppeteer (real browser scraping) of the page and, when it shows few videos, its /videos tab
+async function scrapePage(url, cookie) {
+    return withBrowserPage(async page => {
+        await page.setUserAgent(BROWSER_UA);
+        await page.setViewport({ width: 1920, height: 1080 });
+        await page.setExtraHTTPHeaders({ 'Accept-Language': 'pt-BR,pt;q=0.9' });
+
+        // Set cookies if available
+        if (cookie) {
+            try {
+                const cookies = puppeteerCookies(cookie, '.facebook.com');
+                if (cookies.length > 0) await page.setCookie(...cookies);
+                console.log(`  [Facebook] Cookies set: ${cookies.length} cookies`);
+            } catch (e) { console.log(`  [Facebook] Cookie set failed: ${e.message}`); }
+        }
+
+        // Navigate to the Facebook page
+        const fbUrl = url.replace(/\/videos\/?$/, '').replace(/\/$/, '');
+        console.log(`  [Facebook] Navigating to: ${fbUrl}`);
+        await page.goto(fbUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        if (cookie && isLoginWall(page.url())) reportCookieRejected('redirecionado para o login');
+
+        // Close cookie consent / login popups aggressively
+        try {
+            await page.evaluate(() => {
+                // Remove ALL dialog overlays
+                document.querySelectorAll('[role="dialog"]').forEach(d => d.remove());
+                // Remove login barriers and fixed overlays
+                document.querySelectorAll('[data-testid="royal_login_form"]').forEach(d => {
+                    let parent = d;
+                    for (let i = 0; i < 10 && parent; i++) { parent = parent.parentElement; }
+                    if (parent) parent.remove();
+                });
+                // Remove fixed position overlays blocking the page
+                document.querySelectorAll('div').forEach(d => {
+                    const style = window.getComputedStyle(d);
+                    if (style.position === 'fixed' && style.zIndex > 100 && d.offsetHeight > 300) d.remove();
+                });
+                // Re-enable scrolling
+                document.body.style.overflow = 'auto';
+                document.documentElement.style.overflow = 'auto';
+            });
+            await new Promise(r => setTimeout(r, 1000));
+        } catch (e) { }
+
+        // Wait a bit for content to settle
+        await new Promise(r => setTimeout(r, 2000));
+
+        // Also get the raw page HTML source for regex-based extraction
+        const pageHtml = await page.content();
+
+        // Extract page data from the rendered DOM
+        const pageData = await page.evaluate(() => {
+            const result = { name: null, avatar: null, followers: 0, likes: 0, category: null, videoIds: [] };
+
+            // Page name from h1 or og:title
+            const h1 = document.querySelector('h1');
+            if (h1) result.name = h1.textContent.trim();
+            if (!result.name) {
+                const ogTitle = document.querySelector('meta[property="og:title"]');
+                if (ogTitle) result.name = ogTitle.content;
+            }
+            // Clean up name (remove "Conta verificada", "Verified" badges text)
+            if (result.name) {
+                result.name = result.name.replace(/\s*(Conta verificada|Verified|Verificada?)\s*/gi, '').trim();
+            }
+
+            // Avatar from profile picture
+            const ogImg = document.querySelector('meta[property="og:image"]');
+            if (ogImg) result.avatar = ogImg.content;
+            // Also try profile photo SVG/img
+            const profileImgs = document.querySelectorAll('image[xlink\\:href], svg image');
+            profileImgs.forEach(img => {
+                const href = img.getAttribute('xlink:href') || img.getAttribute('href');
+                if (href && href.includes('scontent') && !result.avatar) result.avatar = href;
+            });
+            // Also try img tags with profile pic
+            const imgs = document.querySelectorAll('img[alt]');
+            imgs.forEach(img => {
+                if (img.alt && result.name && img.alt.includes(result.name) && img.src.includes('scontent')) {
+                    result.avatar = img.src;
+                }
+            });
+
+            // Get ALL text content, look for followers/likes patterns
+            const allText = document.body.innerText;
+
+            // Helper to parse FB number format: "17 mi" = 17M, "3,5 mil" = 3500, "1.234" = 1234
+            function parseFbNum(numStr, context) {
+                let n = parseFloat(numStr.replace(/\./g, '').replace(',', '.'));
+                if (isNaN(n)) return 0;
+                const ctx = (context || '').toLowerCase();
+                if (ctx.includes(' mi ') || ctx.includes(' mi\n') || ctx.match(/\d\s*mi\b/)) n *= 1000000;
+                else if (ctx.includes('mil') || ctx.includes('k')) n *= 1000;
+                else if (ctx.match(/\dM\b/i)) n *= 1000000;
+                else if (ctx.includes('b') || ctx.includes('bi')) n *= 1000000000;
+                return Math.round(n);
+            }
+
+            // Followers patterns (PT-BR and EN) - "17 mi seguidores", "3,5 mil followers", etc.
+            const followerPatterns = [
+                /([\d.,]+)\s*(?:mi|mil|K|M|B|bi)?\s*(?:seguidores?|followers?|pessoas?\s*seguem|people\s*follow)/gi,
+                /(?:seguidores?|followers?)\s*[:\s]*([\d.,]+)\s*(?:mi|mil|K|M|B|bi)?/gi
+            ];
+
+            for (const pat of followerPatterns) {
+                let m;
+                while ((m = pat.exec(allText)) !== null) {
+                    const numStr = m[1] || m[2];
+                    if (numStr) {
+                        const n = parseFbNum(numStr, m[0]);
+                        if (n > result.followers) result.followers = n;
+                    }
+                }
+            }
+
+            // Likes patterns
+            const likePatterns = [
+                /([\d.,]+)\s*(?:mi|mil|K|M|B|bi)?\s*(?:curtidas?|likes?|pessoas?\s*curtiram|people\s*like)/gi,
+                /(?:curtidas?|likes?)\s*[:\s]*([\d.,]+)\s*(?:mi|mil|K|M|B|bi)?/gi
+            ];
+            for (const pat of likePatterns) {
+                let m;
+                while ((m = pat.exec(allText)) !== null) {
+                    const numStr = m[1] || m[2];
+                    if (numStr) {
+                        const n = parseFbNum(numStr, m[0]);
+                        if (n > result.likes) result.likes = n;
+                    }
+                }
+            }
+
+            // Category
+            const spans = document.querySelectorAll('span');
+            const categories = ['Restaurante', 'Loja', 'Empresa', 'Serviço', 'Organização', 'Marca', 'Mídia', 'Entretenimento', 'Esporte', 'Restaurant', 'Store', 'Company', 'Media', 'Entertainment', 'Criador', 'Creator'];
+            for (const span of spans) {
+                const txt = span.textContent.trim();
+                if (categories.some(c => txt.toLowerCase().includes(c.toLowerCase())) && txt.length < 60) {
+                    result.category = txt;
+                    break;
+                }
+            }
+
+            // Collect video IDs from links on the page
+            const links = document.querySelectorAll('a[href]');
+            const vidSet = new Set();
+            for (const link of links) {
+                const href = link.href;
+                let m2;
+                if ((m2 = href.match(/\/videos\/(\d{10,})/))) vidSet.add(m2[1]);
+                if ((m2 = href.match(/watch\/?\?v=(\d{10,})/))) vidSet.add(m2[1]);
+                if ((m2 = href.match(/\/reel\/(\d{10,})/))) vidSet.add(m2[1]);
+            }
+            result.videoIds = [...vidSet].slice(0, 30);
+
+            return result;
+        });
+
+        // Also extract followers from raw HTML source (works even when login overlay hides DOM text)
+        if (!pageData.followers) {
+            const htmlFollowerPatterns = [
+                /([\d.,]+)\s*(?:mi|mil|K|M|B)?\s*(?:seguidores|followers|people follow)/gi,
+                /follower[s_]*count["\s:]+(\d+)/gi,
+                /\"followerCount\":(\d+)/gi
+            ];
+            for (const pat of htmlFollowerPatterns) {
+                let m;
+                while ((m = pat.exec(pageHtml)) !== null) {
+                    const numStr = m[1];
+                    let n = parseFloat(numStr.replace(/\./g, '').replace(',', '.'));
+                    if (isNaN(n)) continue;
+                    const ctx = m[0].toLowerCase();
+                    if (ctx.includes(' mi ') || ctx.match(/\d\s*mi\b/)) n *= 1000000;
+                    else if (ctx.includes('mil') || ctx.includes('k')) n *= 1000;
+                    n = Math.round(n);
+                    if (n > pageData.followers) pageData.followers = n;
+                }
+            }
+            if (pageData.followers > 0) console.log(`  [Facebook] HTML source fallback: ${pageData.followers} followers`);
+        }
+
+        // If we couldn't find much, try the /videos page too
+        let videoPageIds = [];
+        if (pageData.videoIds.length < 5) {
+            try {
+                console.log(`  [Facebook] Navigating to videos page...`);
+                await page.goto(fbUrl + '/videos', { waitUntil: 'networkidle2', timeout: 25000 });
+                await new Promise(r => setTimeout(r, 3000));
+                // Scroll down to load more videos
+                for (let i = 0; i < 3; i++) {
+                    await page.evaluate(() => window.scrollBy(0, 1500));
+                    await new Promise(r => setTimeout(r, 1500));
+                }
+                videoPageIds = await page.evaluate(() => {
+                    const links = document.querySelectorAll('a[href]');
+                    const vidSet = new Set();
+                    for (const link of links) {
+                        const href = link.href;
+                        let m;
+                        if ((m = href.match(/\/videos\/(\d{10,})/))) vidSet.add(m[1]);
+                        if ((m = href.match(/watch\/?\?v=(\d{10,})/))) vidSet.add(m[1]);
+                        if ((m = href.match(/\/reel\/(\d{10,})/))) vidSet.add(m[1]);
+                    }
+                    return [...vidSet];
+                });
+
+                // Also try to get followers from videos page if main page failed
+                if (!pageData.followers) {
+                    const extraData = await page.evaluate(() => {
+                        const allText = document.body.innerText;
+                        let followers = 0;
+                        const m = allText.match(/([\d.,]+)\s*(?:mil|K|M|B)?\s*(?:seguidores?|followers?|pessoas? seguem|people follow)/i);
+                        if (m) {
+                            let n = parseFloat(m[1].replace(/\./g, '').replace(',', '.'));
+                            if (m[0].toLowerCase().includes('mil') || m[0].includes('K')) n *= 1000;
+                            if (m[0].includes('M')) n *= 1000000;
+                            followers = Math.round(n);
+                        }
+                        return { followers };
+                    });
+                    if (extraData.followers > pageData.followers) pageData.followers = extraData.followers;
+                }
+            } catch (e) {
+                console.log(`  [Facebook] Videos page error: ${e.message}`);
+            }
+        }
+
+
+        // Merge video IDs
+        pageData.videoIds = [...new Set([...pageData.videoIds, ...videoPageIds])].slice(0, 30);
+        return pageData;
+    });
+}
+
+async function fetchProfile(target, ctx) {
+    console.log(`  [Facebook] Starting extraction...`);
+
+    if (target.token) {
+        try {
+            const profile = await fetchGraphProfile(target, target.pageId);
+            ctx.update(profile, []);
+            ctx.progress(10);
+            return profile;
+        } catch (graphErr) {
+            console.log(`  [Facebook] Graph API failed: ${graphErr.message}`);
+        }
+    }
+
+    console.log(`  [Facebook] Strategy 2: Puppeteer real browser scraping...`);
+    ctx.progress(5);
+    try {
+        const pageData = await scrapePage(target.url, target.cookie);
+        const profile = {
+            source: 'browser',
+            pageId: target.pageId,
+            avatar: pageData.avatar || null,
+            followers: pageData.followers || 0,
+            pageLikes: pageData.likes || 0,
+            pageName: pageData.name || target.pageId,
+            pageCategory: pageData.category || null,
+            videoIds: pageData.videoIds
+        };
+        console.log(`  [Facebook] Puppeteer: name="${profile.pageName}", ${fmt(profile.followers)} followers, ${fmt(profile.pageLikes)} likes, ${profile.videoIds.length} video IDs`);
+
+        // Send early update
+        ctx.update(profile, []);
+        ctx.progress(30);
+        return profile;
+    } catch (puppeteerErr) {
+        console.log(`  [Facebook] Puppeteer failed: ${puppeteerErr.message}`);
+        throw platformError(`Não foi possível extrair dados do Facebook. ${target.token ? 'Token expirado e Puppeteer falhou.' : 'Configure o token da API ou verifique se o Chrome está instalado.'}`, puppeteerErr);
+    }
+}
+
+// Graph API: page videos become the content, post engagement is kept as page-level totals
+async function fetchGraphContent(profile) {
+    const { pageId, pageAccessToken } = profile;
+    const postsFields = 'id,message,created_time,full_picture,permalink_url,shares,type,likes.summary(true).limit(0),comments.summary(true).limit(0)';
+    const videoFields = 'id,title,description,length,created_time,permalink_url,thumbnails,views,likes.summary(true).limit(0),comments.summary(true).limit(0)';
+
+    const [postsData, videosData] = await Promise.all([
+        httpFetch(`${FB_API}/${pageId}/posts?fields=${postsFields}&limit=25&access_token=${pageAccessToken}`).then(r => r.json()).catch(() => ({ data: [] })),
+        httpFetch(`${FB_API}/${pageId}/videos?fields=${videoFields}&limit=30&access_token=${pageAccessToken}`).then(r => r.json()).catch(() => ({ data: [] }))
+    ]);
+
+    const posts = (postsData.error ? [] : postsData.data) || [];
+    const videos = (videosData.error ? [] : videosData.data) || [];
+
+    const items = videos.map(v => {
+        const thumbnail = v.thumbnails?.data?.length > 0 ? (v.thumbnails.data.reduce((b, t) => (!b || (t.height || 0) > (b.height || 0)) ? t : b, null)?.uri || v.thumbnails.data[0].uri) : null;
+        return { id: v.id, title: v.title || (v.description || 'Facebook Video').slice(0, 100), description: (v.description || '').slice(0, 300), url: v.permalink_url || `https://www.facebook.com/${v.id}`, thumbnail, views: v.views || 0, likes: v.likes?.summary?.total_count || 0, comments: v.comments?.summary?.total_count || 0, duration: v.length ? Math.round(v.length) : null, durationStr: v.length ? `${Math.floor(v.length / 60)}:${String(Math.round(v.length % 60)).padStart(2, '0')}` : null, uploadDate: v.created_time ? v.created_time.replace(/-/g, '').slice(0, 8) : null, timestamp: v.created_time ? Math.floor(new Date(v.created_time).getTime() / 1000) : null, type: 'video' };
+    });
+
+    profile.postStats = { likes: 0, comments: 0, shares: 0, count: posts.length };
+    for (const p of posts) {
+        profile.postStats.likes += p.likes?.summary?.total_count || 0;
+        profile.postStats.comments += p.comments?.summary?.total_count || 0;
+        profile.postStats.shares += p.shares?.count || 0;
+    }
+    console.log(`  [Facebook] Graph API OK: ${fmt(profile.followers)} followers, ${items.length} videos, ${posts.length} posts`);
+    return items;
+}
+
+// Browser mode: fetch video details with yt-dlp
+async function fetchVideoDetails(target, profile, ctx) {
+    const items = [];
+    if (profile.videoIds.length === 0) return items;
+
+    const cookieFile = ytDlpCookieFile(target.cookie, '.facebook.com', `fb_${target.accountId}`);
+    try {
+        const videoEntries = profile.videoIds.map(vid => ({ id: vid, url: `https://www.facebook.com/watch/?v=${vid}` }));
+        await processInBatches(videoEntries, 5, async (entry, i) => {
+            try {
+                const info = await extractInfo(entry.url, cookieFile.args);
+                return { entry, info, i };
+            } catch (e) {
+                try { return { entry, info: await extractInfo(`https://www.facebook.com/video/${entry.id}`, cookieFile.args), i }; }
+                catch (e2) { console.error(`  [Facebook Video Error] ${entry.id}: ${e.message.substring(0, 80)}`); return null; }
+            }
+        }, async (batchResults, currentCount, totalCount) => {
+            for (const resItem of batchResults) {
+                if (!resItem) continue;
+                const { entry, info, i } = resItem;
+                profile.followers = Math.max(profile.followers, info.channel_follower_count || 0, info.uploader_follower_count || 0);
+                if (info.uploader && (!profile.pageName || profile.pageName === profile.pageId)) profile.pageName = info.uploader;
+                if (!profile.avatar && info.thumbnails?.length > 0) profile.avatar = info.thumbnails[info.thumbnails.length - 1].url;
+
+                items.push({
+                    id: info.id || entry.id, title: info.title || info.description?.slice(0, 100) || `Facebook Video #${i + 1}`,
+                    description: (info.description || '').slice(0, 300), url: info.webpage_url || entry.url,
+                    thumbnail: info.thumbnail || (info.thumbnails?.length > 0 ? info.thumbnails[Math.min(info.thumbnails.length - 1, 3)].url : null),
+                    views: info.view_count || 0, likes: info.like_count || 0, comments: info.comment_count || 0, shares: info.repost_count || 0,
+                    duration: info.duration ? Math.round(info.duration) : null,
+                    durationStr: info.duration_string || (info.duration ? `${Math.floor(info.duration / 60)}:${String(Math.round(info.duration % 60)).padStart(2, '0')}` : null),
+                    uploadDate: info.upload_date || null, timestamp: info.timestamp || null, type: 'video'
+                });
+            }
+            ctx.update(profile, items);
+            ctx.progress(30 + Math.round((Math.min(currentCount, totalCount) / totalCount) * 65), 'details');
+        });
+    } finally {
+        cookieFile.cleanup();
+    }
+    console.log(`  [Facebook] Puppeteer done: name="${profile.pageName}", ${fmt(profile.followers)} followers, ${items.length} videos`);
+    return items;
+}
+
+async function fetchContent(target, profile, ctx) {
+    return profile.source === 'graph' ? fetchGraphContent(profile) : fetchVideoDetails(target, profile, ctx);
+}
+
+function computeMetrics(profile, items) {
+    const totals = sumContent(items);
+    const metrics = {
+        avatar: profile.avatar,
+        followers: profile.followers,
+        pageLikes: profile.pageLikes,
+        pageName: profile.pageName,
+        pageCategory: profile.pageCategory,
+        totalRecentViews: totals.views,
+        totalRecentLikes: totals.likes,
+        totalRecentComments: totals.comments
+    };
+    if (profile.postStats) {
+        const posts = profile.postStats;
+        Object.assign(metrics, {
+            totalPostLikes: posts.likes,
+            totalPostComments: posts.comments,
+            totalPostShares: posts.shares,
+            postCount: posts.count,
+            engagementRate: percent(totals.likes + totals.comments + posts.likes + posts.comments, profile.followers)
+        });
+    } else {
+        metrics.totalShares = totals.shares;
+        metrics.engagementRate = percent(totals.likes + totals.comments, profile.followers);
+    }
+    metrics.videoCount = items.length;
+    return metrics;
+}
+
+// Graph API when a token is configured, otherwise the page's public Open Graph tags
+async function verify(handle, url, { settings = {} } = {}) {
+    const target = await resolve({ handle, url, id: null, cookie: null }, { settings });
+    if (target.token) {
+        try {
+            const profile = await fetchGraphProfile(target, target.pageId);
+            return { name: profile.pageName, avatar: profile.avatar, followers: profile.followers, isPrivate: false, isVerified: null };
+        } catch (e) {
+            console.log(`  [Facebook] Graph API verify failed: ${e.message}`);
+        }
+    }
+    const { html } = await fetchHtml(url);
+    const og = name => html.match(new RegExp(`<meta property="og:${name}" content="([^"]*)"`))?.[1]
+        ?.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#0?39;/g, "'");
+    const name = og('title');
+    if (!name) throw new Error('Página não encontrada (ou o Facebook exigiu login)');
+    const followers = (og('description') || '').match(/([\d.,]+\s*[KMB]?)\s*(?:followers|seguidores)/i)?.[1];
+    return { name, avatar: og('image') || null, followers: followers ? parseMetricStr(followers) : null, isPrivate: null, isVerified: null };
+}
+
+module.exports = {
+    id: 'facebook',
+    label: 'Facebook',
+    hosts: ['facebook.com', 'fb.com', 'fb.watch'],
+    capabilities: { followers: 'followers', contentTypes: ['video'], cookies: 'account', sessionCookies: ['c_user', 'xs'], browser: true, settings: ['facebookToken'] },
+    buildUrl, parseProfileUrl, resolveLink, resolve, fetchProfile, fetchContent, computeMetrics, verify
+};
@@ -0,0 +1,170 @@
+const { verifyWithYtDlp, withFetchScope, browserPoolStats, governorState, onGovernorChange } = require('./utils');
+
+// Platform adapters. Every module in this directory exports:
+//   id, label
+//   hosts                             site domains ('x.com' also matches www./m./mobile. subdomains)
+//   capabilities                      { followers: 'followers'|'subscribers', contentTypes, cookies, sessionCookies?, browser, settings? }
+//                                     cookies: 'account' (stored per account, see lib/cookies), 'browser' or false;
+//                                     sessionCookies: names an account's cookies must include to be logged in
+//   buildUrl(handle)                  profile URL for a handle (already stripped of '@')
+//   parseProfileUrl(url)              handle from a URL object on one of the hosts, null if the link names no profile
+//   resolveLink(url, handle)          -> { handle, id } (optional): network lookup for links parseProfileUrl can't
+//                                     settle (video/post URLs, short links) and for the canonical spelling and
+//                                     platform id of a profile; null when it finds nothing
+//   resolve(account, ctx)             -> target: what both fetch phases need (url, cookie args...); target.release() runs at the end
+//   fetchProfile(target, ctx)         -> profile: platform numbers that don't come from content (followers, avatar...)
+//   fetchContent(target, profile, ctx) -> recent content items; may raise profile numbers seen in the content metadata
+//   computeMetrics(profile, items)    -> the metrics object stored on the account (pure)
+//   verify(handle, url, { settings, cookie }) -> preview { name, avatar, followers, isPrivate, isVerified } from a
+//                                     lightweight profile lookup, unknown fields null (optional, defaults to a
+//                                     one-item yt-dlp read that only knows the name)
+// ctx = { account, settings, maxVideos, signal, proxy, progress(percent, stage?), update(profile, items), cookieRejected(reason)? };
+// update() stores partial results while a fetch runs so the UI can show them. stage names what is being read;
+// runAdapter defaults it to 'profile' (resolve, fetchProfile) and 'videos' (fetchContent); adapters can be more
+// specific ('details' while reading items one by one, 'clips').
+// Adapters send every request through the ./utils helpers (runYtDlp, withBrowserPage, httpFetch/fetchHtml instead
+// of fetch), which take care of the rest by themselves:
+//  - the rate governor (lib/rate-governor): each request waits for its platform's token bucket and any pause after
+//    a 429 or login wall; meanwhile runAdapter reports the stage 'rate-limit' (over the platform's requests per
+//    minute) or 'backoff' (the platform pushed back)
+//  - signal, which aborts when the fetch is cancelled (yt-dlp children, browser pages, governor waits, fetchHtml)
+//  - proxy ({ url, failed(reason) } from lib/proxies, null for none), which every request goes out through
+//  - cookieRejected, called when the platform sends a request that carried the account's cookies to its login
+// Errors thrown by an adapter end up in metrics.error.
+// Adding a network: write the module, register it below and add its id to lib/storage/defaults.js.
+const ADAPTERS = [
+    require('./youtube'),
+    require('./tiktok'),
+    require('./instagram'),
+    require('./facebook'),
+    require('./twitter'),
+    require('./twitch'),
+    require('./bluesky'),
+    require('./threads')
+];
+
+const registry = new Map(ADAPTERS.map(a => [a.id, a]));
+const PLATFORM_IDS = ADAPTERS.map(a => a.id);
+
+function getAdapter(platform) {
+    return registry.get(platform) || null;
+}
+
+// --- URL builders per platform ---
+function buildUrl(platform, handle) {
+    const adapter = getAdapter(platform);
+    return adapter ? adapter.buildUrl(handle.replace(/^@/, '')) : handle;
+}
+
+// Platform and handle of a pasted link -> { platform, handle }, with handle null when the site is known but
+// the link doesn't name a profile (a video or post URL). null for anything that isn't a link to a known site.
+function parseProfileLink(input) {
+    const text = String(input || '').trim();
+    if (!/^(https?:\/\/)?[\w.-]+\.[a-z]{2,}(\/|$|\?)/i.test(text)) return null;
+    let url;
+    try {
+        url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+    } catch (e) {
+        return null;
+    }
+    const host = url.hostname.toLowerCase();
+    const adapter = ADAPTERS.find(a => (a.hosts || []).some(h => host === h || host.endsWith(`.${h}`)));
+    if (!adapter) return null;
+    return { platform: adapter.id, handle: adapter.parseProfileUrl(url) };
+}
+
+// Canonical { platform, handle, id, url, lookedUp } for a pasted link, or for a bare handle when platformHint is
+// given. The offline parse comes first; resolveLink() then settles links without a handle and the canonical
+// spelling. A failed lookup falls back to the offline handle. Errors carry .status (400, 422).
+// ctx = { proxy }: the lookup waits for the platform's rate governor and goes through ctx.proxy like a fetch would.
+async function resolveProfile(input, platformHint, ctx = {}) {
+    const text = String(input || '').trim().replace(/^@/, '');
+    if (!text) throw Object.assign(new Error('Informe um link ou handle'), { status: 400 });
+    if (platformHint && !registry.has(platformHint)) throw Object.assign(new Error(`Plataforma desconhecida: ${platformHint}`), { status: 400 });
+
+    let link = parseProfileLink(text);
+    let url;
+    if (link) {
+        if (platformHint && link.platform !== platformHint) {
+            throw Object.assign(new Error(`O link é de ${getAdapter(link.platform).label}, não de ${getAdapter(platformHint).label}`), { status: 400 });
+        }
+        url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+    } else {
+        if (/^https?:\/\//i.test(text)) throw Object.assign(new Error('Site não reconhecido'), { status: 400 });
+        if (!platformHint) throw Object.assign(new Error('Plataforma não informada (cole o link do perfil)'), { status: 400 });
+        // A bare handle goes through the profile URL so it's normalized the same way as a pasted link
+        url = new URL(buildUrl(platformHint, text));
+        link = { platform: platformHint, handle: getAdapter(platformHint).parseProfileUrl(url) || text };
+    }
+
+    const adapter = getAdapter(link.platform);
+    let found = null;
+    if (adapter.resolveLink) {
+        try {
+            found = await withFetchScope({ platform: adapter.id, proxy: ctx.proxy || null }, () => adapter.resolveLink(url, link.handle));
+        } catch (e) {
+            console.log(`[Resolve] ${adapter.label} lookup failed for ${url.href}: ${e.message}`);
+        }
+    }
+    const handle = found?.handle || link.handle;
+    if (!handle) throw Object.assign(new Error('Não foi possível identificar o perfil a partir deste link'), { status: 422 });
+    return { platform: adapter.id, handle, id: found?.id || null, url: adapter.buildUrl(handle), lookedUp: !!found };
+}
+
+function describePlatforms() {
+    return ADAPTERS.map(a => ({ id: a.id, label: a.label, capabilities: a.capabilities }));
+}
+
+// Preview card for the add-account modal -> { name, avatar, followers, isPrivate, isVerified, url }.
+// ctx = { settings, cookie, proxy }; the lookup goes through ctx.proxy like a fetch would.
+async function verifyHandle(platform, handle, ctx = {}) {
+    const adapter = getAdapter(platform);
+    const clean = handle.replace(/^@/, '');
+    const url = adapter.buildUrl(clean);
+    const info = await withFetchScope({ proxy: ctx.proxy || null }, () =>
+        adapter.verify ? adapter.verify(clean, url, ctx) : verifyWithYtDlp(url, handle));
+    return { name: clean, avatar: null, followers: null, isPrivate: null, isVerified: null, ...info, url };
+}
+
+// Run resolve -> fetchProfile -> fetchContent -> computeMetrics for one account.
+// Resolves with { metrics, recentContent }; adapter failures come back as metrics.error, never thrown.
+// The one exception is cancellation: once ctx.signal aborts, the signal's reason is thrown. Adapters may swallow
+// the errors of their aborted children and fall back to other strategies, so it is checked between phases too.
+async function runAdapter(adapter, account, ctx) {
+    const report = ctx.progress;
+    // Last progress reported, so a governor wait can show its own stage and then put it back
+    let last = { percent: 0, stage: 'profile' };
+    const inStage = phase => (percent, stage = phase) => {
+        last = { percent, stage };
+        report(percent, stage);
+    };
+    const onWait = (ms, reason) => report(last.percent, ms > 0 ? (reason === 'backoff' ? 'backoff' : 'rate-limit') : last.stage);
+    const checkpoint = () => ctx.signal?.throwIfAborted();
+    let target = null;
+    try {
+        return await withFetchScope({ platform: adapter.id, signal: ctx.signal, onWait, proxy: ctx.proxy || null, onCookieRejected: ctx.cookieRejected }, async () => {
+            ctx.progress = inStage('profile');
+            checkpoint();
+            target = await adapter.resolve(account, ctx);
+            checkpoint();
+            const profile = await adapter.fetchProfile(target, ctx);
+            checkpoint();
+            ctx.progress = inStage('videos');
+            const items = await adapter.fetchContent(target, profile, ctx);
+            checkpoint();
+            return { metrics: adapter.computeMetrics(profile, items), recentContent: items };
+        });
+    } catch (err) {
+        if (ctx.signal?.aborted) throw ctx.signal.reason;
+        console.log(`  [${adapter.label}] Failed: ${err.message}`);
+        return { metrics: { error: err.message || `Erro desconhecido (${adapter.label})`, ...(err.detail ? { message: err.detail } : {}) }, recentContent: [] };
+    } finally {
+        ctx.progress = report;
+        if (target?.release) target.release();
+    }
+}
+
+module.exports = {
+    PLATFORM_IDS, getAdapter, buildUrl, parseProfileLink, resolveProfile, describePlatforms, verifyHandle, runAdapter,
+    browserPoolStats, governorState, onGovernorChange
+};
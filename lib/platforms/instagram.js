@@ -0,0 +1,167 @@
+const { execFile } = require('child_process');
+const path = require('path');
+const { fetchHtml, parseMetricStr, cookieHeader, sumContent, percent, platformError, currentSignal, governRequest, reportThrottle, httpFetch, proxyEnv } = require('./utils');
+
+// Instagram: ig_scraper.py (Instaloader) returns profile + recent posts; HTML meta tags as a profile-only fallback
+const IG_SCRAPER = path.join(__dirname, '..', '..', 'ig_scraper.py');
+
+function buildUrl(handle) {
+    return `https://www.instagram.com/${handle}/`;
+}
+
+const RESERVED_PATHS = ['p', 'reel', 'reels', 'tv', 'stories', 'explore', 'accounts', 'direct'];
+
+// instagram.com/username/ (post and reel links don't name the author)
+function parseProfileUrl(url) {
+    const first = url.pathname.split('/').filter(Boolean)[0];
+    return first && !RESERVED_PATHS.includes(first.toLowerCase()) ? first : null;
+}
+
+// Post and reel links: the public embed page of the post shows the author
+async function resolveLink(url, handle) {
+    if (handle) return null;
+    const code = url.pathname.match(/^\/(?:p|reels?|tv)\/([\w-]+)/)?.[1];
+    if (!code) return null;
+    const { html } = await fetchHtml(`https://www.instagram.com/p/${code}/embed/captioned/`);
+    const author = html.match(/class="UsernameText"[^>]*>([\w.]+)</)?.[1]
+        || html.match(/"owner":\{[^}]*?"username":"([\w.]+)"/)?.[1];
+    return author ? { handle: author, id: null } : null;
+}
+
+// A rate_limited answer pauses Instagram in the rate governor before it comes back to the caller
+async function runInstaloader(handle, { profileOnly = false } = {}) {
+    const sentAt = await governRequest();
+    const result = await new Promise((resolve, reject) => {
+        const signal = currentSignal();
+        if (signal?.aborted) return reject(signal.reason);
+        const pyBin = 'python';
+        const args = [IG_SCRAPER, handle, ...(profileOnly ? ['--profile-only'] : [])];
+        console.log(`  [Instagram] Running: ${pyBin} ${args.join(' ')}`);
+        execFile(pyBin, args, { timeout: 120000, windowsHide: true, signal, env: proxyEnv() }, (err, stdout, stderr) => {
+            if (signal?.aborted) return reject(signal.reason);
+            if (err) {
+                // Script may have printed JSON to stdout even on error exit
+                if (stdout && stdout.trim()) {
+                    try { return resolve(JSON.parse(stdout.trim())); } catch (e2) { }
+                }
+                return reject(new Error(stderr || err.message));
+            }
+            try {
+                resolve(JSON.parse(stdout.trim()));
+            } catch (e) {
+                reject(new Error('Failed to parse instaloader output'));
+            }
+        });
+    });
+    if (result.error === 'rate_limited') reportThrottle('limite de requisições (429)', sentAt);
+    return result;
+}
+
+async function resolve(account) {
+    return { url: account.url, handle: account.handle, cookie: cookieHeader(account.cookie) };
+}
+
+async function fetchProfile({ url, handle, cookie }) {
+    console.log(`  [Instagram] Using Instaloader...`);
+
+    // Strategy 1: Instaloader Python script (most reliable)
+    try {
+        const igResult = await runInstaloader(handle);
+        if (igResult.error) {
+            if (igResult.error === 'rate_limited') {
+                throw new Error('Instagram rate limit (429). Aguarde alguns minutos e tente novamente.');
+            }
+            throw new Error(igResult.error);
+        }
+        console.log(`  [Instagram] Instaloader: ${igResult.followers || 0} followers, ${(igResult.posts || []).length} posts`);
+        return {
+            avatar: igResult.profile_pic_url || null,
+            followers: igResult.followers || 0,
+            postCount: igResult.posts_count || 0,
+            fullName: igResult.full_name,
+            isPrivate: igResult.is_private,
+            isVerified: igResult.is_verified,
+            posts: igResult.posts || []
+        };
+    } catch (e) {
+        console.log(`  [Instagram] Instaloader failed: ${e.message}`);
+    }
+
+    // Strategy 2: Scrape HTML meta tags as fallback
+    try {
+        const profileHtml = await httpFetch(url, {
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0 Safari/537.36',
+                'Accept': 'text/html', 'Accept-Language': 'en-US,en;q=0.9',
+                ...(cookie ? { 'Cookie': cookie } : {})
+            }
+        }).then(r => r.text());
+
+        const descMatch = profileHtml.match(/content="([\d,.KMBkmb]+)\s*Followers?/i);
+        const followers = descMatch ? parseMetricStr(descMatch[1]) : 0;
+        const postMatch = profileHtml.match(/([\d,.KMBkmb]+)\s*Posts?/i);
+        const postCount = postMatch ? parseMetricStr(postMatch[1]) : 0;
+        const ogImg = profileHtml.match(/<meta property="og:image"\s+content="([^"]+)"/i);
+
+        if (followers > 0) {
+            console.log(`  [Instagram] HTML fallback: ${followers} followers`);
+            return { avatar: ogImg ? ogImg[1] : null, followers, postCount, posts: [] };
+        }
+        throw new Error('Sem dados nas meta tags');
+    } catch (e2) {
+        throw platformError('Não foi possível acessar o perfil.',
+            new Error('Instaloader e HTML falharam. O Instagram pode estar bloqueando requisições. Tente novamente mais tarde.'));
+    }
+}
+
+// Posts already came with the profile
+async function fetchContent(target, profile) {
+    return profile.posts.map(post => ({
+        id: post.id,
+        title: post.title || 'Post',
+        url: post.url,
+        thumbnail: post.thumbnail,
+        views: post.views || 0,
+        likes: post.likes || 0,
+        comments: post.comments || 0,
+        uploadDate: post.upload_date,
+        type: post.is_video ? 'reel' : 'post'
+    }));
+}
+
+function computeMetrics(profile, items) {
+    const totals = sumContent(items);
+    return {
+        avatar: profile.avatar,
+        followers: profile.followers,
+        postCount: profile.postCount,
+        fullName: profile.fullName,
+        isPrivate: profile.isPrivate,
+        isVerified: profile.isVerified,
+        totalRecentViews: totals.views,
+        totalRecentLikes: totals.likes,
+        totalRecentComments: totals.comments,
+        engagementRate: percent(totals.likes + totals.comments, profile.followers)
+    };
+}
+
+// Profile numbers only, no posts
+async function verify(handle) {
+    const result = await runInstaloader(handle.replace(/^@/, ''), { profileOnly: true });
+    if (result.error) throw new Error(result.error === 'rate_limited' ? 'Instagram rate limit (429). Aguarde alguns minutos.' : result.error);
+    return {
+        name: result.full_name || result.username,
+        avatar: result.profile_pic_url || null,
+        followers: result.followers ?? null,
+        isPrivate: result.is_private ?? null,
+        isVerified: result.is_verified ?? null
+    };
+}
+
+module.exports = {
+    id: 'instagram',
+    label: 'Instagram',
+    hosts: ['instagram.com'],
+    capabilities: { followers: 'followers', contentTypes: ['post'], cookies: 'account', sessionCookies: ['sessionid'], browser: false },
+    buildUrl, parseProfileUrl, resolveLink, resolve, fetchProfile, fetchContent, computeMetrics, verify
+};
@@ -0,0 +1,194 @@
+const { BROWSER_UA, parseMetricStr, cookieHeader, puppeteerCookies, reportCookieRejected, isLoginWall, withBrowserPage, httpFetch, sumContent, percent, platformError } = require('./utils');
+
+// Threads: the profile page embeds its data as JSON <script> blobs (user + recent thread items).
+// Plain HTTP first; when the page comes back without them (login wall, bot check) a real browser loads it.
+const MAX_POSTS = 30;
+
+function usernameFrom(handle) {
+    return handle.replace(/^@/, '').replace(/^(https?:\/\/)?(www\.)?threads\.(net|com)\/@?/i, '').split(/[/?#]/)[0].toLowerCase();
+}
+
+function buildUrl(handle) {
+    return `https://www.threads.net/@${usernameFrom(handle)}`;
+}
+
+// threads.net/@user (or threads.com), also inside post links
+function parseProfileUrl(url) {
+    const m = url.pathname.match(/^\/@([^/]+)/);
+    return m ? m[1].toLowerCase() : null;
+}
+
+async function resolve(account) {
+    const username = usernameFrom(account.handle);
+    return { username, url: buildUrl(username), cookie: account.cookie };
+}
+
+// Walk every JSON blob in the page and pick out the profile user and that user's posts
+function parseEmbeddedData(html, username) {
+    const result = { user: null, posts: new Map() };
+    const blobs = html.matchAll(/<script type="application\/json"[^>]*>([\s\S]*?)<\/script>/gi);
+
+    function walk(node, depth) {
+        if (!node || typeof node !== 'object' || depth > 60) return;
+        if (Array.isArray(node)) {
+            for (const child of node) walk(child, depth + 1);
+            return;
+        }
+        if (node.username?.toLowerCase() === username && node.follower_count !== undefined) {
+            if (!result.user || node.follower_count > result.user.follower_count) result.user = node;
+        }
+        if (node.code && node.taken_at && node.like_count !== undefined && node.user?.username?.toLowerCase() === username) {
+            result.posts.set(node.code, node);
+        }
+        for (const value of Object.values(node)) walk(value, depth + 1);
+    }
+
+    for (const [, text] of blobs) {
+        if (!text.includes('follower_count') && !text.includes('like_count')) continue;
+        try { walk(JSON.parse(text), 0); } catch (e) { }
+    }
+    return result;
+}
+
+function toProfile(user) {
+    return {
+        avatar: user.hd_profile_pic_versions?.at(-1)?.url || user.profile_pic_url || null,
+        fullName: user.full_name || null,
+        isVerified: !!user.is_verified,
+        followers: user.follower_count || 0
+    };
+}
+
+function toItem(post, username) {
+    const info = post.text_post_app_info || {};
+    return {
+        id: post.pk || post.id || post.code,
+        title: (post.caption?.text || 'Post').slice(0, 100),
+        url: `https://www.threads.net/@${username}/post/${post.code}`,
+        thumbnail: post.image_versions2?.candidates?.[0]?.url || post.carousel_media?.[0]?.image_versions2?.candidates?.[0]?.url || null,
+        views: post.view_count || 0,
+        likes: post.like_count || 0,
+        comments: info.direct_reply_count || 0,
+        shares: info.repost_count || 0,
+        quotes: info.quote_count || 0,
+        timestamp: post.taken_at,
+        uploadDate: new Date(post.taken_at * 1000).toISOString()
+    };
+}
+
+async function fetchPage({ url, cookie }) {
+    const header = cookieHeader(cookie);
+    return httpFetch(url, {
+        headers: {
+            'User-Agent': BROWSER_UA,
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            'Accept-Language': 'en-US,en;q=0.9',
+            ...(header ? { 'Cookie': header } : {})
+        },
+        signal: AbortSignal.timeout(15000)
+    }).then(r => r.text());
+}
+
+// Puppeteer fallback: same JSON blobs from the rendered page, visible follower text as a last resort
+async function scrapePage({ url, cookie }) {
+    return withBrowserPage(async page => {
+        await page.setUserAgent(BROWSER_UA);
+
+        if (cookie) {
+            // Same session cookies for both domains (threads.net redirects to threads.com)
+            const cookies = puppeteerCookies(cookie, '.threads.net');
+            const otherDomain = domain => domain.replace(/threads\.(net|com)$/, (m, tld) => tld === 'net' ? 'threads.com' : 'threads.net');
+            if (cookies.length > 0) await page.setCookie(...cookies, ...cookies.map(c => ({ ...c, domain: otherDomain(c.domain) })));
+            console.log(`  [Threads] Cookies set: ${cookies.length} cookies`);
+        }
+
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+        if (cookie && isLoginWall(page.url())) reportCookieRejected('redirecionado para o login');
+        // Scroll once so the first batch of posts is in the page data
+        await page.evaluate(() => window.scrollBy(0, 2000));
+        await new Promise(r => setTimeout(r, 2000));
+
+        const html = await page.content();
+        const followerText = await page.evaluate(() => {
+            const m = document.body.innerText.match(/([\d.,]+\s*[KMB]?)\s*(?:followers|seguidores)/i);
+            return m ? m[1] : null;
+        });
+        return { html, followerText };
+    });
+}
+
+async function fetchProfile(target, ctx) {
+    try {
+        console.log(`  [Threads] Fetching embedded page data...`);
+        const data = parseEmbeddedData(await fetchPage(target), target.username);
+        if (data.user) {
+            console.log(`  [Threads] Page data: ${data.user.follower_count} followers, ${data.posts.size} posts`);
+            target.posts = [...data.posts.values()];
+            return toProfile(data.user);
+        }
+        console.log(`  [Threads] No profile data in page (login wall?)`);
+    } catch (e) {
+        console.log(`  [Threads] HTTP fetch failed: ${e.message}`);
+    }
+
+    console.log(`  [Threads] Falling back to Puppeteer...`);
+    ctx.progress(20);
+    try {
+        const { html, followerText } = await scrapePage(target);
+        const data = parseEmbeddedData(html, target.username);
+        target.posts = [...data.posts.values()];
+        if (data.user) return toProfile(data.user);
+        if (followerText) {
+            console.log(`  [Threads] Puppeteer: follower text "${followerText}"`);
+            return { avatar: null, fullName: null, isVerified: false, followers: parseMetricStr(followerText) };
+        }
+        throw new Error('Sem dados de perfil na página');
+    } catch (e) {
+        throw platformError(`Não foi possível acessar o perfil do Threads.${target.cookie ? '' : ' Tente adicionar cookies da sessão.'}`, e);
+    }
+}
+
+// Posts came with the profile page
+async function fetchContent(target) {
+    return (target.posts || [])
+        .sort((a, b) => b.taken_at - a.taken_at)
+        .slice(0, MAX_POSTS)
+        .map(post => toItem(post, target.username));
+}
+
+function computeMetrics(profile, items) {
+    const totals = sumContent(items);
+    return {
+        avatar: profile.avatar,
+        fullName: profile.fullName,
+        isVerified: profile.isVerified,
+        followers: profile.followers,
+        totalRecentViews: totals.views,
+        totalRecentLikes: totals.likes,
+        totalRecentComments: totals.comments,
+        totalShares: totals.shares,
+        engagementRate: percent(totals.likes + totals.comments, profile.followers)
+    };
+}
+
+async function verify(handle, url, { cookie } = {}) {
+    const target = await resolve({ handle, cookie });
+    const data = parseEmbeddedData(await fetchPage(target), target.username);
+    if (!data.user) throw new Error('Perfil não encontrado (ou a página exige login)');
+    const profile = toProfile(data.user);
+    return {
+        name: profile.fullName || target.username,
+        avatar: profile.avatar,
+        followers: data.user.follower_count ?? null,
+        isPrivate: data.user.text_post_app_is_private ?? null,
+        isVerified: profile.isVerified
+    };
+}
+
+module.exports = {
+    id: 'threads',
+    label: 'Threads',
+    hosts: ['threads.net', 'threads.com'],
+    capabilities: { followers: 'followers', contentTypes: ['post'], cookies: 'account', sessionCookies: ['sessionid'], browser: true },
+    buildUrl, parseProfileUrl, resolve, fetchProfile, fetchContent, computeMetrics, verify
+};
@@ -0,0 +1,221 @@
+const { BROWSER_UA, fetchHtml, httpFetch, extractInfo, extractPlaylist, processInBatches, cookieHeader, ytDlpCookieFile, sumContent, percent } = require('./utils');
+
+// TikTok: profile numbers from the embedded page state, up to maxVideos videos via yt-dlp
+
+function buildUrl(handle) {
+    return `https://www.tiktok.com/@${handle}`;
+}
+
+// tiktok.com/@user, also inside video links (tiktok.com/@user/video/123)
+function parseProfileUrl(url) {
+    const m = url.pathname.match(/^\/@([^/]+)/);
+    return m ? decodeURIComponent(m[1]) : null;
+}
+
+// Share links (vm.tiktok.com/..., tiktok.com/t/...) redirect to the full video URL, which names the author
+async function resolveLink(url, handle) {
+    if (handle) return null;
+    const { url: finalUrl } = await fetchHtml(url.href);
+    const author = parseProfileUrl(new URL(finalUrl));
+    return author ? { handle: author, id: null } : null;
+}
+
+// Prepare cookie args for yt-dlp if account has cookies
+async function resolve(account) {
+    const cookieFile = ytDlpCookieFile(account.cookie, '.tiktok.com', `tk_${account.id}`);
+    if (cookieFile.args.length > 0) console.log(`  [TikTok] Cookie file created for yt-dlp`);
+    return {
+        url: account.url,
+        handle: account.handle.replace(/^@/, ''),
+        cookie: cookieHeader(account.cookie),
+        ytdlpCookieArgs: cookieFile.args,
+        release: cookieFile.cleanup
+    };
+}
+
+// Profile data from the page itself (works without login)
+async function fetchProfile({ handle, cookie }) {
+    const profile = { avatar: null, followers: 0 };
+    try {
+        const apiUrl = `https://www.tiktok.com/@${handle}?isUniqueId=true&isSecUid=false`;
+        const apiRes = await httpFetch(apiUrl, {
+            headers: {
+                'User-Agent': BROWSER_UA,
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                'Accept-Language': 'pt-BR,pt;q=0.9,en-US;q=0.8,en;q=0.7',
+                ...(cookie ? { 'Cookie': cookie } : {})
+            },
+            signal: AbortSignal.timeout(15000)
+        });
+        const profilePage = await apiRes.text();
+
+        // Extract from SIGI_STATE or __UNIVERSAL_DATA_FOR_REHYDRATION__
+        const sigiMatch = profilePage.match(/<script id="SIGI_STATE"[^>]*>([\s\S]*?)<\/script>/i) ||
+            profilePage.match(/<script id="__UNIVERSAL_DATA_FOR_REHYDRATION__"[^>]*>([\s\S]*?)<\/script>/i);
+        if (sigiMatch) {
+            try {
+                const sigiData = JSON.parse(sigiMatch[1]);
+                // SIGI_STATE format
+                const userModule = sigiData.UserModule || sigiData['__DEFAULT_SCOPE__']?.['webapp.user-detail'];
+                if (userModule) {
+                    const users = userModule.users || {};
+                    const stats = userModule.stats || {};
+                    const userKey = Object.keys(users)[0] || handle;
+                    if (stats[userKey]) {
+                        profile.followers = stats[userKey].followerCount || 0;
+                        console.log(`  [TikTok] API: ${profile.followers} followers`);
+                    }
+                    if (users[userKey]) {
+                        profile.avatar = users[userKey].avatarLarger || users[userKey].avatarMedium || users[userKey].avatarThumb || null;
+                        if (profile.avatar) console.log(`  [TikTok] API: avatar found`);
+                    }
+                }
+                // __UNIVERSAL_DATA_FOR_REHYDRATION__ format
+                const userDetail = sigiData['__DEFAULT_SCOPE__']?.['webapp.user-detail']?.userInfo;
+                if (userDetail) {
+                    profile.followers = userDetail.stats?.followerCount || profile.followers;
+                    profile.avatar = userDetail.user?.avatarLarger || userDetail.user?.avatarMedium || profile.avatar;
+                    console.log(`  [TikTok] Universal data: ${profile.followers} followers`);
+                }
+            } catch (e) {
+                console.log(`  [TikTok] Failed to parse SIGI/Universal data: ${e.message}`);
+            }
+        }
+
+        // Fallback: try meta tags
+        if (!profile.followers) {
+            const fmatch = profilePage.match(/followerCount["\s:]+(\d+)/i);
+            if (fmatch) profile.followers = parseInt(fmatch[1]);
+        }
+        if (!profile.avatar) {
+            const amatch = profilePage.match(/"avatarThumb":"([^"]+)"/i) ||
+                profilePage.match(/"avatarLarger":"([^"]+)"/i) ||
+                profilePage.match(/property="og:image" content="([^"]+)"/i);
+            if (amatch) profile.avatar = amatch[1].replace(/\\u002F/g, '/');
+        }
+
+        console.log(`  [TikTok] Profile scrape: followers=${profile.followers}, avatar=${profile.avatar ? 'YES' : 'NO'}`);
+    } catch (e) {
+        console.log(`  [TikTok] Profile fetch failed (timeout/blocked): ${e.message}`);
+    }
+    return profile;
+}
+
+async function fetchContent({ url, handle, ytdlpCookieArgs }, profile, ctx) {
+    // Fetch playlist entries
+    const entries = await extractPlaylist(url, ctx.maxVideos, ytdlpCookieArgs).catch(e => {
+        console.error(`  [TikTok] Playlist extraction failed: ${e.message}`);
+        return [];
+    });
+
+    console.log(`  [TikTok] Found ${entries.length} entries, fetching all details in batches...`);
+
+    // Check if entries contain channel_follower_count (sometimes available in flat-playlist)
+    for (const entry of entries) {
+        profile.followers = Math.max(profile.followers, entry.channel_follower_count || 0, entry.uploader_follower_count || 0);
+    }
+
+    // Initialize early avatar/metrics to UI
+    const items = [];
+    ctx.update(profile, items);
+    ctx.progress(0);
+
+    // Fetch video details in concurrent batches
+    let blockedCount = 0;
+    await processInBatches(entries, 10, async (entry, i) => {
+        try {
+            const videoUrl = entry.url || `https://www.tiktok.com/@${handle}/video/${entry.id}`;
+            const info = await extractInfo(videoUrl, ytdlpCookieArgs);
+            return { entry, info, i, videoUrl };
+        } catch (e) {
+            if (e.message.includes('blocked')) blockedCount++;
+            console.error(`  [TikTok Error] ${entry.id}:`, e.message.substring(0, 100));
+            // Even if blocked, try to use flat-playlist data
+            if (entry.view_count !== undefined) {
+                return { entry, info: entry, i, videoUrl: entry.url, fromFlat: true };
+            }
+            return null;
+        }
+    }, async (batchResults, currentCount, totalCount) => {
+        for (const resItem of batchResults) {
+            if (!resItem) continue;
+            const { entry, info, i, videoUrl } = resItem;
+
+            profile.followers = Math.max(profile.followers, info.uploader_follower_count || 0, info.channel_follower_count || 0);
+
+            // Try to get avatar from video metadata if not already found
+            if (!profile.avatar && info.thumbnails) {
+                // Look for avatar-like thumbnails (TikTok includes uploader avatar)
+                const avatarThumb = info.thumbnails.find(t => t.url && (t.url.includes('avatar') || t.url.includes('musically')));
+                if (avatarThumb) profile.avatar = avatarThumb.url;
+            }
+
+            items.push({
+                id: info.id || entry.id,
+                title: info.title || info.description || `TikTok #${i + 1}`,
+                description: (info.description || '').slice(0, 300),
+                url: info.webpage_url || videoUrl,
+                thumbnail: info.thumbnail,
+                views: info.view_count || 0,
+                likes: info.like_count || 0,
+                comments: info.comment_count || 0,
+                shares: info.repost_count || 0,
+                duration: info.duration,
+                durationStr: info.duration_string,
+                uploadDate: info.upload_date,
+                timestamp: info.timestamp,
+                type: 'video'
+            });
+        }
+        ctx.update(profile, items);
+        ctx.progress(Math.round((Math.min(currentCount, totalCount) / totalCount) * 100), 'details');
+    });
+
+    // Log if IP was blocked
+    if (blockedCount > 0) {
+        console.log(`  [TikTok] WARNING: ${blockedCount}/${entries.length} videos blocked by IP. Consider adding cookies.`);
+    }
+    return items;
+}
+
+function computeMetrics(profile, items) {
+    const totals = sumContent(items);
+    return {
+        avatar: profile.avatar,
+        followers: profile.followers,
+        totalRecentViews: totals.views,
+        totalRecentLikes: totals.likes,
+        totalRecentComments: totals.comments,
+        totalShares: totals.shares,
+        engagementRate: percent(totals.likes + totals.comments, totals.views),
+        videoCount: items.length
+    };
+}
+
+// Profile card from the page's __UNIVERSAL_DATA_FOR_REHYDRATION__ JSON (no yt-dlp run)
+async function verify(handle, url, { cookie } = {}) {
+    const header = cookieHeader(cookie);
+    const { html } = await fetchHtml(buildUrl(handle), { headers: header ? { 'Cookie': header } : {} });
+    const match = html.match(/<script id="__UNIVERSAL_DATA_FOR_REHYDRATION__"[^>]*>([\s\S]*?)<\/script>/i);
+    let userInfo = null;
+    try {
+        userInfo = match ? JSON.parse(match[1])['__DEFAULT_SCOPE__']?.['webapp.user-detail']?.userInfo : null;
+    } catch (e) { }
+    const user = userInfo?.user;
+    if (!user?.uniqueId) throw new Error('Perfil não encontrado (ou o TikTok bloqueou a requisição)');
+    return {
+        name: user.nickname || user.uniqueId,
+        avatar: user.avatarLarger || user.avatarMedium || null,
+        followers: userInfo.stats?.followerCount ?? null,
+        isPrivate: !!user.privateAccount,
+        isVerified: !!user.verified
+    };
+}
+
+module.exports = {
+    id: 'tiktok',
+    label: 'TikTok',
+    hosts: ['tiktok.com'],
+    capabilities: { followers: 'followers', contentTypes: ['video'], cookies: 'account', sessionCookies: ['sessionid'], browser: false },
+    buildUrl, parseProfileUrl, resolveLink, resolve, fetchProfile, fetchContent, computeMetrics, verify
+};
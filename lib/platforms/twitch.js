@@ -0,0 +1,195 @@
+const { extractInfo, extractPlaylist, processInBatches, httpFetch, sumContent, percent, platformError } = require('./utils');
+
+// Twitch: channel numbers from the public GQL endpoint, past broadcasts (VODs) and clips via yt-dlp
+const GQL_URL = 'https://gql.twitch.tv/gql';
+// Client id of the twitch.tv web player; anonymous GQL reads need one
+const GQL_CLIENT_ID = process.env.TWITCH_CLIENT_ID || 'kimne78kx3ncx6brgo4mv6wki5cbhy';
+const MAX_CLIPS = 20;
+const WEEK_MS = 7 * 24 * 3600 * 1000;
+const STREAM_WINDOW_MS = 4 * WEEK_MS;
+
+// Channel login from "@name", "name" or a twitch.tv URL
+function loginFrom(handle) {
+    return handle.replace(/^@/, '').replace(/^(https?:\/\/)?(www\.|m\.)?twitch\.tv\//i, '').split(/[/?#]/)[0].toLowerCase();
+}
+
+function buildUrl(handle) {
+    return `https://www.twitch.tv/${loginFrom(handle)}`;
+}
+
+// twitch.tv/channel (also /channel/videos, /channel/clip/...); clips.twitch.tv/<slug> names a clip, not a channel
+function parseProfileUrl(url) {
+    if (url.hostname.toLowerCase().startsWith('clips.')) return null;
+    const first = url.pathname.split('/').filter(Boolean)[0];
+    return first && /^\w{3,25}$/.test(first) && !['videos', 'directory', 'settings'].includes(first.toLowerCase()) ? first.toLowerCase() : null;
+}
+
+async function gql(query, variables) {
+    const res = await httpFetch(GQL_URL, {
+        method: 'POST',
+        headers: { 'Client-ID': GQL_CLIENT_ID, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, variables }),
+        signal: AbortSignal.timeout(15000)
+    });
+    return res.json();
+}
+
+// Channel, clip (clips.twitch.tv/<slug>, /channel/clip/<slug>) and VOD (/videos/<id>) links -> { handle: login, id: user id }
+async function resolveLink(url, handle) {
+    const clip = url.hostname.toLowerCase().startsWith('clips.')
+        ? url.pathname.split('/').filter(Boolean)[0]
+        : url.pathname.match(/^\/\w+\/clip\/([\w-]+)/)?.[1];
+    const video = url.pathname.match(/^\/videos\/(\d+)/)?.[1];
+    let user;
+    if (clip) {
+        user = (await gql('query($slug: ID!) { clip(slug: $slug) { broadcaster { id login } } }', { slug: clip }))?.data?.clip?.broadcaster;
+    } else if (video) {
+        user = (await gql('query($id: ID!) { video(id: $id) { owner { id login } } }', { id: video }))?.data?.video?.owner;
+    } else if (handle) {
+        user = (await gql('query($login: String!) { user(login: $login) { id login } }', { login: handle }))?.data?.user;
+    }
+    return user?.login ? { handle: user.login, id: user.id } : null;
+}
+
+async function resolve(account) {
+    const login = loginFrom(account.handle);
+    return { login, url: buildUrl(login) };
+}
+
+async function fetchProfile({ login }, ctx) {
+    try {
+        console.log(`  [Twitch] Fetching channel via GQL...`);
+        const data = await gql(
+            'query($login: String!) { user(login: $login) { displayName profileImageURL(width: 300) followers { totalCount } stream { viewersCount } } }',
+            { login }
+        );
+        const user = data?.data?.user;
+        if (!user) throw new Error(data?.errors?.[0]?.message || 'Canal não encontrado');
+
+        const profile = {
+            avatar: user.profileImageURL || null,
+            displayName: user.displayName || login,
+            followers: user.followers?.totalCount || 0,
+            isLive: !!user.stream,
+            liveViewers: user.stream?.viewersCount || 0
+        };
+        console.log(`  [Twitch] GQL: ${profile.followers} followers${profile.isLive ? `, live (${profile.liveViewers} viewers)` : ''}`);
+        ctx.update(profile, []);
+        ctx.progress(10);
+        return profile;
+    } catch (e) {
+        throw platformError('Canal da Twitch não encontrado.', e);
+    }
+}
+
+// yt-dlp entries for a tab; flat entries without view counts get a full extraction
+async function extractTab(tabUrl, maxItems, type, onBatch) {
+    const entries = await extractPlaylist(tabUrl, maxItems).catch(e => {
+        console.error(`  [Twitch] ${type} extraction failed: ${e.message}`);
+        return [];
+    });
+    const items = [];
+    await processInBatches(entries, 5, async entry => {
+        if (entry.view_count !== undefined && entry.timestamp) return entry;
+        try {
+            return await extractInfo(entry.url || entry.webpage_url);
+        } catch (e) {
+            console.error(`  [Twitch Error] ${entry.id}: ${e.message.substring(0, 100)}`);
+            return entry.view_count !== undefined ? entry : null;
+        }
+    }, async (batchResults, currentCount, totalCount) => {
+        for (const info of batchResults) {
+            if (!info) continue;
+            items.push({
+                id: info.id,
+                title: info.title || (type === 'clip' ? 'Clip' : 'VOD'),
+                url: info.webpage_url || info.url,
+                thumbnail: info.thumbnail || info.thumbnails?.[info.thumbnails.length - 1]?.url || null,
+                views: info.view_count || 0,
+                likes: 0,
+                comments: 0,
+                duration: info.duration ? Math.round(info.duration) : null,
+                durationStr: info.duration_string || null,
+                uploadDate: info.upload_date || null,
+                timestamp: info.timestamp || null,
+                type
+            });
+        }
+        onBatch(Math.min(currentCount, totalCount) / totalCount);
+    });
+    return items;
+}
+
+async function fetchContent({ url }, profile, ctx) {
+    const items = [];
+    const vods = await extractTab(`${url}/videos?filter=archives&sort=time`, ctx.maxVideos, 'vod', done => {
+        ctx.progress(10 + Math.round(done * 50));
+    });
+    items.push(...vods);
+    ctx.update(profile, items);
+
+    const clips = await extractTab(`${url}/clips?filter=clips&range=30d`, MAX_CLIPS, 'clip', done => {
+        ctx.progress(60 + Math.round(done * 35), 'clips');
+    });
+    items.push(...clips);
+
+    console.log(`  [Twitch] ${vods.length} VODs, ${clips.length} clips`);
+    return items;
+}
+
+// Broadcasts per week over the last four weeks (or since the oldest VOD, when Twitch kept less than that)
+function streamsPerWeek(vods, now = Date.now()) {
+    const times = vods.map(v => (v.timestamp || 0) * 1000).filter(t => t > now - STREAM_WINDOW_MS);
+    if (times.length === 0) return 0;
+    const weeks = Math.max(1, (now - Math.min(...times)) / WEEK_MS);
+    return parseFloat((times.length / weeks).toFixed(1));
+}
+
+// Twitch has no likes/comments on VODs, so engagementRate is average VOD views relative to followers
+function computeMetrics(profile, items) {
+    const vods = items.filter(c => c.type === 'vod');
+    const clips = items.filter(c => c.type === 'clip');
+    const totals = sumContent(items);
+    const avgVodViews = vods.length > 0 ? Math.round(sumContent(vods).views / vods.length) : 0;
+    return {
+        avatar: profile.avatar,
+        displayName: profile.displayName,
+        followers: profile.followers,
+        isLive: profile.isLive,
+        liveViewers: profile.liveViewers,
+        totalRecentViews: totals.views,
+        totalRecentLikes: 0,
+        totalRecentComments: 0,
+        avgVodViews,
+        streamsPerWeek: streamsPerWeek(vods),
+        engagementRate: percent(avgVodViews, profile.followers),
+        videoCount: vods.length,
+        clipCount: clips.length
+    };
+}
+
+// Partner channels get the verified badge on twitch.tv
+async function verify(handle) {
+    const login = loginFrom(handle);
+    const data = await gql(
+        'query($login: String!) { user(login: $login) { displayName profileImageURL(width: 300) followers { totalCount } roles { isPartner } } }',
+        { login }
+    );
+    const user = data?.data?.user;
+    if (!user) throw new Error(data?.errors?.[0]?.message || 'Canal não encontrado');
+    return {
+        name: user.displayName || login,
+        avatar: user.profileImageURL || null,
+        followers: user.followers?.totalCount ?? null,
+        isPrivate: false,
+        isVerified: !!user.roles?.isPartner
+    };
+}
+
+module.exports = {
+    id: 'twitch',
+    label: 'Twitch',
+    hosts: ['twitch.tv'],
+    capabilities: { followers: 'followers', contentTypes: ['vod', 'clip'], cookies: false, browser: false },
+    buildUrl, parseProfileUrl, resolveLink, resolve, fetchProfile, fetchContent, computeMetrics, verify
+};
@@ -0,0 +1,137 @@
+const { httpFetch, sumContent, percent, platformError } = require('./utils');
+
+// Twitter/X: FxTwitter API for the profile, the syndication timeline for recent tweets (no auth needed for either)
+const MAX_TWEETS = 15;
+
+function buildUrl(handle) {
+    return `https://twitter.com/${handle}`;
+}
+
+const RESERVED_PATHS = ['i', 'home', 'search', 'explore', 'intent', 'share', 'hashtag', 'settings', 'notifications'];
+
+// twitter.com/user or x.com/user, also inside status links (x.com/user/status/123)
+function parseProfileUrl(url) {
+    const first = url.pathname.split('/').filter(Boolean)[0];
+    return first && /^\w{1,15}$/.test(first) && !RESERVED_PATHS.includes(first.toLowerCase()) ? first : null;
+}
+
+// Profile and status links -> { handle, id } with the account's own capitalization and its numeric id, via FxTwitter.
+// Status links without the author in the path (x.com/i/web/status/123) are looked up by the status id.
+async function resolveLink(url, handle) {
+    const statusId = url.pathname.match(/\/status(?:es)?\/(\d+)/)?.[1];
+    const endpoint = handle ? `https://api.fxtwitter.com/${handle}` : statusId ? `https://api.fxtwitter.com/status/${statusId}` : null;
+    if (!endpoint) return null;
+    const res = await httpFetch(endpoint, { signal: AbortSignal.timeout(10000) });
+    const data = await res.json().catch(() => ({}));
+    const user = handle ? data.user : data.tweet?.author;
+    return user?.screen_name ? { handle: user.screen_name, id: user.id ? String(user.id) : null } : null;
+}
+
+async function resolve(account) {
+    return { handle: account.handle };
+}
+
+// Strategy 1: FxTwitter API - free, reliable, no auth needed
+async function fetchProfile({ handle }) {
+    try {
+        console.log(`  [Twitter] Using FxTwitter API...`);
+        const fxRes = await httpFetch(`https://api.fxtwitter.com/${handle}`, {
+            headers: { 'User-Agent': 'SocialTracker/1.0' }
+        });
+        const fxData = await fxRes.json();
+
+        if (fxData.code !== 200 || !fxData.user) {
+            throw new Error(`FxTwitter: ${fxData.message || 'Perfil não encontrado'}`);
+        }
+
+        const user = fxData.user;
+        const profile = {
+            avatar: user.avatar_url || null,
+            banner: user.banner_url || null,
+            followers: user.followers || 0,
+            postCount: user.tweets || 0
+        };
+        console.log(`  [Twitter] FxTwitter: ${profile.followers} followers, ${profile.postCount} tweets, avatar OK`);
+        return profile;
+    } catch (e) {
+        throw platformError('Perfil não encontrado ou privado.', e);
+    }
+}
+
+// Strategy 2: Syndication API for recent tweet content/metrics
+async function fetchContent({ handle }) {
+    const items = [];
+    try {
+        const html = await httpFetch(`https://syndication.twitter.com/srv/timeline-profile/screen-name/${handle}`, {
+            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0 Safari/537.36' }
+        }).then(r => r.text());
+
+        const match = html.match(/<script id="__NEXT_DATA__" type="application\/json">(.*?)<\/script>/);
+        if (match) {
+            const data = JSON.parse(match[1]);
+            const timeline = data?.props?.pageProps?.timeline?.entries || [];
+
+            for (const entry of timeline) {
+                const tweet = entry.content?.tweet;
+                if (!tweet) continue;
+
+                items.push({
+                    id: tweet.id_str,
+                    title: (tweet.text || 'Tweet').slice(0, 100),
+                    url: `https://x.com/${handle}/status/${tweet.id_str}`,
+                    thumbnail: tweet.entities?.media?.[0]?.media_url_https || null,
+                    views: parseInt(tweet.ext_views?.count || '0'),
+                    likes: tweet.favorite_count || 0,
+                    comments: tweet.reply_count || 0,
+                    shares: tweet.retweet_count || 0,
+                    uploadDate: new Date(tweet.created_at).toISOString(),
+                    type: tweet.in_reply_to_status_id_str ? 'reply' : 'tweet'
+                });
+                if (items.length >= MAX_TWEETS) break;
+            }
+            console.log(`  [Twitter] Syndication: ${items.length} tweets`);
+        }
+    } catch (e) {
+        console.log(`  [Twitter] Syndication failed (profile data still OK): ${e.message}`);
+    }
+    return items;
+}
+
+function computeMetrics(profile, items) {
+    const totals = sumContent(items);
+    return {
+        avatar: profile.avatar,
+        banner: profile.banner,
+        followers: profile.followers,
+        postCount: profile.postCount,
+        totalRecentViews: totals.views,
+        totalRecentLikes: totals.likes,
+        totalRecentComments: totals.comments,
+        engagementRate: percent(totals.likes + totals.comments, totals.views)
+    };
+}
+
+async function verify(handle) {
+    const res = await httpFetch(`https://api.fxtwitter.com/${handle}`, {
+        headers: { 'User-Agent': 'SocialTracker/1.0' },
+        signal: AbortSignal.timeout(10000)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (data.code !== 200 || !data.user) throw new Error(data.message || 'Perfil não encontrado');
+    const user = data.user;
+    return {
+        name: user.name || user.screen_name,
+        avatar: user.avatar_url || null,
+        followers: user.followers ?? null,
+        isPrivate: user.protected ?? null,
+        isVerified: user.verification ? !!user.verification.verified : null
+    };
+}
+
+module.exports = {
+    id: 'twitter',
+    label: 'Twitter / X',
+    hosts: ['twitter.com', 'x.com'],
+    capabilities: { followers: 'followers', contentTypes: ['tweet'], cookies: false, browser: false },
+    buildUrl, parseProfileUrl, resolveLink, resolve, fetchProfile, fetchContent, computeMetrics, verify
+};
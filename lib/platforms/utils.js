@@ -0,0 +1,407 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer-core');
+const { createBrowserPool } = require('../browser-pool');
+const { createRateGovernor, parseLimits } = require('../rate-governor');
+const { proxyDispatcher, proxiedFetch } = require('../proxies');
+const { parseCookies, liveCookies, cookieHeader: formatCookieHeader, netscapeFile } = require('../cookies');
+
+// Chrome executable path — auto-detect OS
+const CHROME_PATH = process.env.CHROME_PATH
+    || (process.platform === 'win32'
+        ? 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe'
+        : '/usr/bin/chromium');
+
+const YT_DLP = process.env.YT_DLP_PATH
+    || (process.platform === 'win32'
+        ? path.join(process.env.LOCALAPPDATA || '', 'Programs', 'Python', 'Python314', 'Scripts', 'yt-dlp.exe')
+        : 'yt-dlp');
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// --- Fetch scope ---
+// runAdapter runs each fetch inside a scope ({ platform, signal, onWait, proxy, onCookieRejected }) so the helpers
+// below can stop their child processes, browsers and requests when the fetch is cancelled, hold them back for the
+// rate governor and send them through the fetch's proxy, without every adapter call passing these along.
+// onWait(ms, reason) is told when a request has to wait (ms 0: done waiting). proxy is { url, failed(reason) }
+// (lib/proxies), null to go direct. onCookieRejected(reason) hears about session cookies the platform turned down.
+const fetchScope = new AsyncLocalStorage();
+
+function withFetchScope(scope, fn) {
+    return fetchScope.run(scope, fn);
+}
+
+// AbortSignal of the fetch running in this async context (undefined outside one)
+function currentSignal() {
+    return fetchScope.getStore()?.signal;
+}
+
+// --- Proxy ---
+// Every helper below (yt-dlp, browser pages, fetchHtml/httpFetch, proxyEnv for Python scripts) goes through the
+// proxy of the fetch scope. Errors that look like the proxy's fault count against it (lib/proxies rotates it out).
+const PROXY_ERROR = /proxy|tunnel|socks|ERR_(PROXY|TUNNEL|SOCKS)_/i;
+
+function currentProxy() {
+    return fetchScope.getStore()?.proxy || null;
+}
+
+// A request through the proxy failed with err; reported unless the fetch was cancelled or it isn't the proxy's fault
+function blameProxy(proxy, err, { always = false } = {}) {
+    if (!proxy || currentSignal()?.aborted) return;
+    const message = err?.cause?.message || err?.message || String(err);
+    if (always || PROXY_ERROR.test(message)) proxy.failed(message);
+}
+
+// fetch() for adapters: every request waits for the rate governor, and a 429 or a redirect to a login page pauses
+// the platform's requests. It goes through the scope's proxy (undici dispatcher); through a proxy any network error
+// is blamed on it, since a dead proxy and an unreachable site look the same from here. A request that sent a Cookie
+// and got redirected to a login page also reports the cookies as rejected.
+async function httpFetch(url, options = {}) {
+    const proxy = currentProxy();
+    const sentAt = await governRequest();
+    let res;
+    try {
+        res = proxy ? await proxiedFetch(url, { ...options, dispatcher: proxyDispatcher(proxy.url) }) : await fetch(url, options);
+    } catch (err) {
+        blameProxy(proxy, err, { always: true });
+        throw err;
+    }
+    if (res.status === 429) reportThrottle('limite de requisições (429)', sentAt);
+    else if (res.redirected && isLoginWall(res.url) && !isLoginWall(url)) {
+        reportThrottle('redirecionado para o login', sentAt);
+        const sentCookie = Object.entries(options.headers || {}).some(([name, value]) => name.toLowerCase() === 'cookie' && value);
+        if (sentCookie) reportCookieRejected('redirecionado para o login');
+    }
+    return res;
+}
+
+// Environment for child processes (Instaloader/requests reads HTTP(S)_PROXY); undefined keeps the server's own
+function proxyEnv() {
+    const proxy = currentProxy();
+    if (!proxy) return undefined;
+    return { ...process.env, HTTP_PROXY: proxy.url, HTTPS_PROXY: proxy.url, ALL_PROXY: proxy.url };
+}
+
+// Chromium wants the server without credentials (socks5 only) and the credentials separately
+function browserProxy(url) {
+    const parsed = new URL(url);
+    const protocol = parsed.protocol === 'socks:' ? 'socks5:' : parsed.protocol;
+    return {
+        server: `${protocol}//${parsed.host}`,
+        username: decodeURIComponent(parsed.username) || undefined,
+        password: decodeURIComponent(parsed.password) || undefined
+    };
+}
+
+// --- Rate governor ---
+// Requests per minute per platform from RATE_LIMITS ("tiktok=20/5,instagram=6/2", see lib/rate-governor for the
+// defaults) and at most YTDLP_MAX_PROCESSES yt-dlp runs at a time. Only fetches are governed; the one-off lookups
+// of the add-account form run outside a fetch scope.
+const governor = createRateGovernor({
+    limits: parseLimits(process.env.RATE_LIMITS),
+    maxProcesses: parseInt(process.env.YTDLP_MAX_PROCESSES, 10) || 4
+});
+
+// Answers that mean the platform wants us to slow down -> reason shown in the panel
+const THROTTLE_SIGNS = [
+    [/HTTP Error 429|Too Many Requests|rate.?limit/i, 'limite de requisições (429)'],
+    [/IP address is blocked|blocked from accessing/i, 'IP bloqueado'],
+    [/Sign in to confirm|not a bot|captcha/i, 'verificação anti-robô']
+];
+
+// yt-dlp run with --cookies that still wasn't let in
+const COOKIE_REJECTED_SIGNS = /cookies are no longer valid|login required|you need to log ?in|requires? (?:a )?log ?in|use --cookies/i;
+
+function throttleReason(text) {
+    return THROTTLE_SIGNS.find(([pattern]) => pattern.test(text))?.[1] || null;
+}
+
+// Wait for the governor before sending a request for the fetch in this async context (no wait outside one).
+// Resolves with the time the request goes out, for reportThrottle().
+async function governRequest() {
+    const scope = fetchScope.getStore();
+    if (scope?.platform) {
+        let waited = false;
+        const onWait = (ms, reason) => {
+            waited = true;
+            scope.onWait?.(ms, reason);
+        };
+        await governor.acquire(scope.platform, { signal: scope.signal, onWait });
+        if (waited) scope.onWait?.(0);
+    }
+    return Date.now();
+}
+
+// The platform of the running fetch pushed back on a request sent at sentAt: pause its requests for a while
+function reportThrottle(reason, sentAt) {
+    const platform = fetchScope.getStore()?.platform;
+    if (platform) governor.throttled(platform, reason, sentAt);
+}
+
+// { platforms: [{ platform, perMinute, burst, available, waiting, backoffUntil, backoffLevel, reason }], processes }
+function governorState() {
+    return governor.state();
+}
+
+// listener(platformState) whenever a platform is paused or resumes
+function onGovernorChange(listener) {
+    return governor.onChange(listener);
+}
+
+// --- Number formatter for logs ---
+function fmt(n) {
+    if (n >= 1_000_000) return (n / 1_000_000).toFixed(1) + 'M';
+    if (n >= 1_000) return (n / 1_000).toFixed(1) + 'K';
+    return String(n);
+}
+
+// Parse metric strings like "1.2M", "500K", "12,345" to numbers
+function parseMetricStr(str) {
+    if (!str) return 0;
+    str = String(str).replace(/,/g, '').trim();
+    const m = str.match(/([\d.]+)\s*([KMBkmb])?/);
+    if (!m) return 0;
+    let n = parseFloat(m[1]);
+    if (m[2]) {
+        const suffix = m[2].toUpperCase();
+        if (suffix === 'K') n *= 1000;
+        else if (suffix === 'M') n *= 1000000;
+        else if (suffix === 'B') n *= 1000000000;
+    }
+    return Math.round(n);
+}
+
+// --- yt-dlp wrapper ---
+// Governed: waits for a request token of the fetch's platform and a free yt-dlp slot before starting
+async function runYtDlp(args, timeout = 30000) {
+    const signal = currentSignal();
+    const proxy = currentProxy();
+    if (proxy) args = ['--proxy', proxy.url, ...args];
+    const sentAt = await governRequest();
+    return governor.withProcessSlot(() => new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        // Try the full path first, fall back to just 'yt-dlp'
+        const bin = fs.existsSync(YT_DLP) ? YT_DLP : 'yt-dlp';
+        // The proxy URL may hold credentials: keep it out of logs and error messages
+        const hideProxy = text => proxy ? text.split(proxy.url).join('<proxy>') : text;
+        console.log(`[yt-dlp] Running: ${bin} ${hideProxy(args.join(' '))}`);
+        // A cancelled fetch kills the child (execFile rejects with an AbortError)
+        execFile(bin, args, { timeout, windowsHide: true, signal }, (err, stdout, stderr) => {
+            if (err) {
+                err.message = hideProxy(err.message);
+                console.error(`[yt-dlp] Error:`, err.message);
+                const reason = !signal?.aborted && throttleReason(`${err.message}\n${stderr}`);
+                if (reason) reportThrottle(reason, sentAt);
+                else if (!signal?.aborted && args.includes('--cookies') && COOKIE_REJECTED_SIGNS.test(stderr)) {
+                    reportCookieRejected('o yt-dlp pediu login mesmo com os cookies');
+                }
+                blameProxy(proxy, new Error(hideProxy(stderr || err.message)));
+                return reject(err);
+            }
+            resolve(stdout);
+        });
+    }), { signal });
+}
+
+// Parse yt-dlp --dump-json output (one JSON object per line)
+function parseJsonLines(output) {
+    return output.trim().split('\n').filter(Boolean).map(line => {
+        try { return JSON.parse(line); } catch { return null; }
+    }).filter(Boolean);
+}
+
+// Extract JSON metadata from a URL
+async function extractInfo(url, extraArgs = []) {
+    const args = [
+        '--dump-json',
+        '--no-download',
+        '--no-warnings',
+        '--no-playlist',
+        ...extraArgs,
+        url
+    ];
+    const output = await runYtDlp(args, 45000);
+    return JSON.parse(output.trim().split('\n')[0]);
+}
+
+// Extract playlist/channel info (multiple entries)
+async function extractPlaylist(url, maxItems = 5, extraArgs = []) {
+    const args = [
+        '--dump-json',
+        '--no-download',
+        '--no-warnings',
+        '--flat-playlist',
+        '--playlist-end', String(maxItems),
+        ...extraArgs,
+        url
+    ];
+    const output = await runYtDlp(args, 60000);
+    return parseJsonLines(output);
+}
+
+// Utility to process items concurrently in batches
+async function processInBatches(items, batchSize, processFn, onBatchComplete) {
+    let results = [];
+    for (let i = 0; i < items.length; i += batchSize) {
+        currentSignal()?.throwIfAborted();
+        const batch = items.slice(i, i + batchSize);
+        const batchResults = await Promise.all(batch.map((item, idx) => processFn(item, i + idx)));
+        results = results.concat(batchResults);
+        if (onBatchComplete) await onBatchComplete(batchResults, i + batchSize, items.length);
+    }
+    return results;
+}
+
+// --- Cookies ---
+// Accounts store a cookie jar (lib/cookies: JSON with domains and expiry); older accounts and the add-account
+// preview may hand over a "name=value; name2=value2" header, a cookies.txt or a browser export instead. The
+// helpers below take any of them and skip expired cookies; domain is for cookies that don't say where they belong.
+
+// Cookies of the text as a jar, [] when there is none
+function cookieJar(cookie) {
+    return cookie ? parseCookies(cookie).cookies : [];
+}
+
+function cookieHeader(cookie) {
+    return formatCookieHeader(cookieJar(cookie));
+}
+
+// Netscape cookie file for yt-dlp --cookies. Returns { args, cleanup } (empty args when there is no cookie).
+function ytDlpCookieFile(cookie, domain, tag) {
+    const jar = liveCookies(cookieJar(cookie));
+    if (jar.length === 0) return { args: [], cleanup() { } };
+    const file = path.join(os.tmpdir(), `${tag}_cookies.txt`);
+    try {
+        fs.writeFileSync(file, netscapeFile(jar, domain), { mode: 0o600 });
+    } catch (e) {
+        console.log(`  [Cookies] Failed to create cookie file: ${e.message}`);
+        return { args: [], cleanup() { } };
+    }
+    return {
+        args: ['--cookies', file],
+        cleanup() { try { fs.unlinkSync(file); } catch (e) { } }
+    };
+}
+
+// Puppeteer cookie objects for page.setCookie()
+function puppeteerCookies(cookie, domain) {
+    return liveCookies(cookieJar(cookie)).map(c => ({
+        name: c.name, value: c.value, domain: c.domain || domain, path: c.path, secure: c.secure, httpOnly: c.httpOnly,
+        ...(c.expires > 0 ? { expires: c.expires } : {})
+    }));
+}
+
+// The platform turned the account's cookies down (sent us to its login page, yt-dlp says they are invalid):
+// the fetch scope passes it on so the panel can ask for fresh ones
+function reportCookieRejected(reason) {
+    fetchScope.getStore()?.onCookieRejected?.(reason);
+}
+
+// --- Browser ---
+// One set of flags for every pooled browser; per-site settings (viewport, language) go on the page
+function launchBrowser() {
+    return puppeteer.launch({
+        executablePath: CHROME_PATH,
+        headless: 'new',
+        args: [
+            '--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu',
+            '--disable-extensions', '--no-first-run', '--disable-blink-features=AutomationControlled', '--window-size=1920,1080'
+        ]
+    });
+}
+
+// BROWSER_POOL_SIZE browsers with up to BROWSER_POOL_PAGES pages each, closed after BROWSER_IDLE_SECONDS unused
+const browserPool = createBrowserPool({
+    launch: launchBrowser,
+    size: parseInt(process.env.BROWSER_POOL_SIZE, 10) || 1,
+    pagesPerBrowser: parseInt(process.env.BROWSER_POOL_PAGES, 10) || 2,
+    idleMs: (parseInt(process.env.BROWSER_IDLE_SECONDS, 10) || 60) * 1000
+});
+
+// Run fn(page) on a page of the shared browser pool, in an incognito context that is thrown away afterwards
+// (cookies set on it never reach another account). A cancelled fetch closes the page under fn.
+// Each page counts as one request for the rate governor; the page goes through the fetch's proxy.
+async function withBrowserPage(fn) {
+    const proxy = currentProxy();
+    await governRequest();
+    try {
+        return await browserPool.withPage(fn, { signal: currentSignal(), proxy: proxy ? browserProxy(proxy.url) : null });
+    } catch (err) {
+        blameProxy(proxy, err);
+        throw err;
+    }
+}
+
+function browserPoolStats() {
+    return browserPool.stats();
+}
+
+// --- Metrics helpers ---
+
+// Sum views/likes/comments/shares over content items
+function sumContent(items) {
+    const totals = { views: 0, likes: 0, comments: 0, shares: 0 };
+    for (const item of items) {
+        totals.views += item.views || 0;
+        totals.likes += item.likes || 0;
+        totals.comments += item.comments || 0;
+        totals.shares += item.shares || 0;
+    }
+    return totals;
+}
+
+// Percentage with two decimals, 0 when the base is empty
+function percent(value, base) {
+    return base > 0 ? parseFloat((value / base * 100).toFixed(2)) : 0;
+}
+
+// Error with a user-facing message; the fetch pipeline stores it as { error: message, message: cause }
+function platformError(message, cause) {
+    const err = new Error(message);
+    if (cause) err.detail = cause.message || String(cause);
+    return err;
+}
+
+// Redirects to these paths mean the platform wants a logged-in (or verified) visitor
+const LOGIN_WALL_PATH = /^\/(login|accounts\/login|checkpoint|challenge)\b/i;
+
+function isLoginWall(url) {
+    try { return LOGIN_WALL_PATH.test(new URL(url).pathname); } catch (e) { return false; }
+}
+
+// GET a page the way a browser would -> { url (after redirects), status, html }. Governed like any httpFetch().
+async function fetchHtml(url, { headers = {}, timeout = 15000 } = {}) {
+    const res = await httpFetch(url, {
+        headers: {
+            'User-Agent': BROWSER_UA,
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            ...headers
+        },
+        redirect: 'follow',
+        signal: currentSignal() ? AbortSignal.any([AbortSignal.timeout(timeout), currentSignal()]) : AbortSignal.timeout(timeout)
+    });
+    return { url: res.url, status: res.status, html: await res.text() };
+}
+
+// Default verification: read the first entry of the profile with yt-dlp
+async function verifyWithYtDlp(url, handle) {
+    const output = await runYtDlp(['--dump-json', '--no-download', '--no-warnings', '--playlist-end', '1', '--flat-playlist', url], 30000);
+    const info = JSON.parse(output.trim().split('\n')[0]);
+    return { name: info.uploader || info.channel || handle };
+}
+
+module.exports = {
+    CHROME_PATH, YT_DLP, BROWSER_UA,
+    withFetchScope, currentSignal, httpFetch, proxyEnv,
+    governRequest, reportThrottle, governorState, onGovernorChange,
+    fmt, parseMetricStr,
+    runYtDlp, parseJsonLines, extractInfo, extractPlaylist, processInBatches,
+    cookieJar, cookieHeader, ytDlpCookieFile, puppeteerCookies, reportCookieRejected, isLoginWall,
+    withBrowserPage, browserPoolStats,
+    sumContent, percent, platformError,
+    fetchHtml, verifyWithYtDlp
+};
@@ -0,0 +1,446 @@
+const { BROWSER_UA, fmt, runYtDlp, fetchHtml, httpFetch, parseJsonLines, withBrowserPage, sumContent, percent } = require('./utils');
+
+// YouTube: yt-dlp over the /videos and /shorts tabs, channel header (subscribers, avatar) from ytInitialData
+
+function buildUrl(handle) {
+    if (handle.startsWith('UC') && handle.length > 20) return `https://www.youtube.com/channel/${handle}`;
+    return `https://www.youtube.com/@${handle}`;
+}
+
+// youtube.com/@handle or /channel/UC... (other links need a lookup)
+function parseProfileUrl(url) {
+    const m = url.pathname.match(/^\/(@[^/]+|channel\/UC[\w-]{20,})/);
+    if (!m) return null;
+    return m[1].startsWith('@') ? decodeURIComponent(m[1].slice(1)) : m[1].slice('channel/'.length);
+}
+
+// Any channel or video link (also /c/, /user/, /shorts/, youtu.be) -> { handle, id: channel id }, read from the page.
+// The handle is the channel's own spelling of its @handle, or the channel id for channels without one.
+async function resolveLink(url) {
+    const { html } = await fetchHtml(url.href);
+    const id = html.match(/"externalId":"(UC[\w-]{22})"/)?.[1]
+        || html.match(/"videoDetails":\{[^}]*?"channelId":"(UC[\w-]{22})"/)?.[1]
+        || html.match(/<link rel="canonical" href="https:\/\/www\.youtube\.com\/channel\/(UC[\w-]{22})"/)?.[1];
+    if (!id) return null;
+    const handle = html.match(/"(?:vanityChannelUrl|ownerProfileUrl)":"https?:\/\/www\.youtube\.com\/@([^"]+)"/)?.[1];
+    return { handle: handle ? decodeURIComponent(handle) : id, id };
+}
+
+// --- Helper: parse ytInitialData to extract subscriber count + avatar ---
+function parseYtInitialData(data) {
+    const result = { subscriberText: null, avatar: null, name: null };
+    try {
+        const header = data?.header;
+        if (!header) return result;
+
+        // Strategy A: c4TabbedHeaderRenderer (older format)
+        const c4 = header.c4TabbedHeaderRenderer;
+        if (c4) {
+            const subText = c4.subscriberCountText?.simpleText
+                || c4.subscriberCountText?.runs?.map(r => r.text).join('');
+            if (subText) result.subscriberText = subText;
+
+            const avatarThumbs = c4.avatar?.thumbnails;
+            if (avatarThumbs && avatarThumbs.length > 0) {
+                result.avatar = avatarThumbs[avatarThumbs.length - 1].url;
+            }
+            result.name = c4.title;
+        }
+
+        // Strategy B: pageHeaderRenderer (newer format, 2024+)
+        const phr = header.pageHeaderRenderer;
+        if (phr) {
+            const phvm = phr?.content?.pageHeaderViewModel;
+            if (phvm) {
+                // Subscriber count from metadataRows
+                if (!result.subscriberText) {
+                    const rows = phvm?.metadata?.contentMetadataViewModel?.metadataRows;
+                    if (rows) {
+                        for (const row of rows) {
+                            for (const part of (row.metadataParts || [])) {
+                                const t = part.text?.content || '';
+                                if (t.includes('subscriber') || t.includes('inscrito') || t.includes('Subscriber')) {
+                                    result.subscriberText = t;
+                                }
+                            }
+                        }
+                    }
+                }
+                // Avatar from pageHeaderRenderer
+                if (!result.avatar) {
+                    const imgModel = phvm?.image?.decoratedAvatarViewModel?.avatar?.avatarViewModel?.image?.sources;
+                    if (imgModel && imgModel.length > 0) {
+                        result.avatar = imgModel[imgModel.length - 1].url;
+                    }
+                }
+                // Title
+                if (!result.name && phvm?.title?.dynamicTextViewModel?.text?.content) {
+                    result.name = phvm.title.dynamicTextViewModel.text.content;
+                }
+            }
+        }
+    } catch (e) {
+        // Silent
+    }
+    return result;
+}
+
+// Helper: parse subscriber text to a number
+function parseSubText(text) {
+    if (!text) return 0;
+    const cleaned = text.replace(/subscribers?|inscritos?|abonnés?/gi, '').trim();
+    const match = cleaned.match(/([\d.,]+)\s*([KMBkmb])?/);
+    if (!match) return 0;
+    let n = parseFloat(match[1].replace(',', '.'));
+    const suffix = (match[2] || '').toUpperCase();
+    if (suffix === 'K') n *= 1000;
+    else if (suffix === 'M') n *= 1000000;
+    else if (suffix === 'B') n *= 1000000000;
+    return Math.round(n);
+}
+
+// Helper: extract ytInitialData JSON from HTML string safely
+function extractYtInitialDataFromHtml(html) {
+    const marker = 'var ytInitialData = ';
+    const startIdx = html.indexOf(marker);
+    if (startIdx === -1) return null;
+    const jsonStart = startIdx + marker.length;
+    // Find matching closing brace by counting braces
+    let depth = 0;
+    let inString = false;
+    let escape = false;
+    for (let i = jsonStart; i < html.length; i++) {
+        const ch = html[i];
+        if (escape) { escape = false; continue; }
+        if (ch === '\\' && inString) { escape = true; continue; }
+        if (ch === '"' && !escape) { inString = !inString; continue; }
+        if (inString) continue;
+        if (ch === '{') depth++;
+        else if (ch === '}') {
+            depth--;
+            if (depth === 0) {
+                try {
+                    return JSON.parse(html.substring(jsonStart, i + 1));
+                } catch (e) {
+                    return null;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+// Detect browser for cookies (Chrome preferred)
+async function resolve(account) {
+    const url = account.url;
+    const browserCookieArgs = [];
+    const browsers = ['chrome', 'edge', 'firefox', 'opera', 'brave'];
+    for (const browser of browsers) {
+        try {
+            const testArgs = ['--cookies-from-browser', browser, '--dump-json', '--no-download', '--playlist-items', '1', '--flat-playlist', url + '/videos'];
+            await runYtDlp(testArgs, 15000);
+            browserCookieArgs.push('--cookies-from-browser', browser);
+            console.log(`  [YouTube] Using cookies from: ${browser}`);
+            break;
+        } catch (e) {
+            // This browser not available, try next
+        }
+    }
+    return { url, browserCookieArgs };
+}
+
+async function fetchProfile({ url }, ctx) {
+    const profile = { avatar: null, subscribers: 0 };
+    ctx.update(profile, []);
+    ctx.progress(0);
+
+    // Strategy 1: Direct HTTP fetch + parse ytInitialData (fast, no Puppeteer needed)
+    try {
+        console.log(`  [YouTube] Fetching channel page via HTTP...`);
+        const channelHtml = await httpFetch(url, {
+            headers: {
+                'User-Agent': BROWSER_UA,
+                'Accept-Language': 'en-US,en;q=0.9',
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+            },
+            signal: AbortSignal.timeout(15000)
+        }).then(r => r.text());
+
+        const ytData = extractYtInitialDataFromHtml(channelHtml);
+        if (ytData) {
+            const parsed = parseYtInitialData(ytData);
+            if (parsed.subscriberText) {
+                profile.subscribers = parseSubText(parsed.subscriberText);
+                console.log(`  [YouTube] HTTP subscribers: "${parsed.subscriberText}" → ${fmt(profile.subscribers)}`);
+            }
+            if (parsed.avatar) {
+                profile.avatar = parsed.avatar;
+                console.log(`  [YouTube] HTTP avatar: found`);
+            }
+        } else {
+            console.log(`  [YouTube] HTTP: ytInitialData not found in page`);
+        }
+
+        // Fallback: try og:image for avatar
+        if (!profile.avatar) {
+            const ogMatch = channelHtml.match(/<meta property="og:image" content="([^"]+)">/i);
+            if (ogMatch) {
+                profile.avatar = ogMatch[1].replace(/\\u002F/g, '/').replace(/=s\d+-/i, '=s176-');
+                console.log(`  [YouTube] HTTP og:image avatar: found`);
+            }
+        }
+    } catch (e) {
+        console.log(`  [YouTube] HTTP channel fetch failed: ${e.message.substring(0, 150)}`);
+    }
+
+    // Strategy 2: Puppeteer fallback (if HTTP fetch didn't get subscriber count)
+    if (!profile.subscribers || !profile.avatar) {
+        try {
+            console.log(`  [YouTube] Fetching channel info via Puppeteer (fallback)...`);
+            const channelData = await withBrowserPage(async page => {
+                await page.setUserAgent(BROWSER_UA);
+
+                await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 20000 });
+                await new Promise(r => setTimeout(r, 3000));
+
+                // Use window.ytInitialData directly (no regex needed, avoids parsing issues)
+                return page.evaluate(() => {
+                    const result = { subscriberText: null, avatar: null, name: null };
+
+                    function extractFromData(data) {
+                        if (!data?.header) return;
+                        // c4TabbedHeaderRenderer
+                        const c4 = data.header.c4TabbedHeaderRenderer;
+                        if (c4) {
+                            const subText = c4.subscriberCountText?.simpleText
+                                || c4.subscriberCountText?.runs?.map(r => r.text).join('');
+                            if (subText) result.subscriberText = subText;
+                            const avatarThumbs = c4.avatar?.thumbnails;
+                            if (avatarThumbs && avatarThumbs.length > 0) result.avatar = avatarThumbs[avatarThumbs.length - 1].url;
+                        }
+                        // pageHeaderRenderer (newer)
+                        const phr = data.header.pageHeaderRenderer;
+                        if (phr) {
+                            const phvm = phr?.content?.pageHeaderViewModel;
+                            if (phvm) {
+                                if (!result.subscriberText) {
+                                    const rows = phvm?.metadata?.contentMetadataViewModel?.metadataRows;
+                                    if (rows) {
+                                        for (const row of rows) {
+                                            for (const part of (row.metadataParts || [])) {
+                                                const t = part.text?.content || '';
+                                                if (t.includes('subscriber') || t.includes('inscrito') || t.includes('Subscriber')) {
+                                                    result.subscriberText = t;
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                                if (!result.avatar) {
+                                    const imgModel = phvm?.image?.decoratedAvatarViewModel?.avatar?.avatarViewModel?.image?.sources;
+                                    if (imgModel && imgModel.length > 0) result.avatar = imgModel[imgModel.length - 1].url;
+                                }
+                            }
+                        }
+                    }
+
+                    // Try window.ytInitialData first (most reliable in browser context)
+                    if (window.ytInitialData) {
+                        extractFromData(window.ytInitialData);
+                    }
+
+                    // Fallback: meta tags for avatar
+                    if (!result.avatar) {
+                        const ogImg = document.querySelector('meta[property="og:image"]');
+                        if (ogImg) result.avatar = ogImg.getAttribute('content');
+                    }
+
+                    // Fallback: DOM for subscriber count
+                    if (!result.subscriberText) {
+                        const subEl = document.querySelector('#subscriber-count, [id*="subscriber"]');
+                        if (subEl) result.subscriberText = subEl.textContent.trim();
+                    }
+
+                    return result;
+                });
+            });
+
+            if (channelData.subscriberText && !profile.subscribers) {
+                profile.subscribers = parseSubText(channelData.subscriberText);
+                console.log(`  [YouTube] Puppeteer subscribers: "${channelData.subscriberText}" → ${fmt(profile.subscribers)}`);
+            }
+            if (channelData.avatar && !profile.avatar) {
+                profile.avatar = channelData.avatar;
+                console.log(`  [YouTube] Puppeteer avatar: found`);
+            }
+
+        } catch (e) {
+            console.log(`  [YouTube] Puppeteer channel scrape failed: ${e.message.substring(0, 150)}`);
+        }
+    }
+
+    ctx.update(profile, []);
+    ctx.progress(10);
+    return profile;
+}
+
+// Helper: extract entries from a channel tab
+// Strategy 1: Full extraction with cookies (gets view_count, like_count, etc.)
+// Strategy 2: Flat-playlist fallback (gets view_count, title, duration from YouTube page data)
+async function extractYouTubeTab(tabUrl, browserCookieArgs, maxItems = 30) {
+    // Try full extraction first (with cookies if available)
+    if (browserCookieArgs.length > 0) {
+        try {
+            console.log(`  [YouTube] Trying full extraction for ${tabUrl.split('/').pop()}...`);
+            const args = [
+                '--dump-json',
+                '--no-download',
+                '--no-warnings',
+                '--playlist-end', String(maxItems),
+                '--extractor-args', 'youtube:skip=dash,hls',
+                '--skip-download',
+                ...browserCookieArgs,
+                tabUrl
+            ];
+            const results = parseJsonLines(await runYtDlp(args, 180000));
+            if (results.length > 0) {
+                console.log(`  [YouTube] Full extraction OK: ${results.length} items`);
+                return { entries: results, mode: 'full' };
+            }
+        } catch (e) {
+            console.log(`  [YouTube] Full extraction failed: ${e.message.substring(0, 100)}`);
+        }
+    }
+
+    // Fallback: flat-playlist (works without auth, still gets useful metadata)
+    try {
+        console.log(`  [YouTube] Using flat-playlist fallback for ${tabUrl.split('/').pop()}...`);
+        const args = [
+            '--dump-json',
+            '--no-download',
+            '--no-warnings',
+            '--flat-playlist',
+            '--playlist-end', String(maxItems),
+            ...browserCookieArgs,
+            tabUrl
+        ];
+        const results = parseJsonLines(await runYtDlp(args, 60000));
+        console.log(`  [YouTube] Flat-playlist: ${results.length} items`);
+        return { entries: results, mode: 'flat' };
+    } catch (e) {
+        console.error(`  [YouTube] Flat-playlist also failed: ${e.message.substring(0, 100)}`);
+        return { entries: [], mode: 'flat' };
+    }
+}
+
+async function fetchContent({ url, browserCookieArgs }, profile, ctx) {
+    console.log(`  [YouTube] Starting extraction...`);
+
+    // Fetch videos and shorts concurrently
+    const [videoData, shortData] = await Promise.all([
+        extractYouTubeTab(url + '/videos', browserCookieArgs, 30),
+        extractYouTubeTab(url + '/shorts', browserCookieArgs, 30)
+    ]);
+
+    console.log(`  [YouTube] Got ${videoData.entries.length} videos (${videoData.mode}) + ${shortData.entries.length} shorts (${shortData.mode})`);
+    ctx.progress(20);
+
+    // Tag entries
+    const allResults = [
+        ...videoData.entries.map(v => ({ ...v, _type: 'video' })),
+        ...shortData.entries.map(v => ({ ...v, _type: 'short' }))
+    ];
+
+    // Deduplicate by id
+    const seen = new Set();
+    const uniqueResults = [];
+    for (const info of allResults) {
+        const vid = info.id;
+        if (vid && !seen.has(vid)) {
+            seen.add(vid);
+            uniqueResults.push(info);
+        }
+    }
+
+    // Process all entries
+    const items = [];
+    for (let i = 0; i < uniqueResults.length; i++) {
+        const info = uniqueResults[i];
+        const isShort = info._type === 'short';
+        const contentUrl = isShort
+            ? `https://www.youtube.com/shorts/${info.id}`
+            : `https://www.youtube.com/watch?v=${info.id}`;
+
+        // Full metadata carries the subscriber count too
+        if (info.channel_follower_count && info.channel_follower_count > profile.subscribers) {
+            profile.subscribers = info.channel_follower_count;
+        }
+
+        // Build thumbnail URL from video ID if not provided
+        const thumbnail = info.thumbnail || info.thumbnails?.[0]?.url
+            || `https://i.ytimg.com/vi/${info.id}/hqdefault.jpg`;
+
+        // flat-playlist entries still have view_count, title, duration from YouTube
+        items.push({
+            id: info.id,
+            title: info.title || info.fulltitle || `Video #${i + 1}`,
+            url: contentUrl,
+            thumbnail,
+            views: info.view_count || 0,
+            likes: info.like_count || 0,
+            comments: info.comment_count || 0,
+            duration: info.duration,
+            durationStr: info.duration_string,
+            uploadDate: info.upload_date,
+            description: (info.description || '').slice(0, 200),
+            type: isShort ? 'short' : 'video'
+        });
+
+        // Update progress
+        if ((i + 1) % 10 === 0 || i === uniqueResults.length - 1) {
+            ctx.progress(20 + Math.round(((i + 1) / uniqueResults.length) * 75), 'details');
+        }
+    }
+
+    const totals = sumContent(items);
+    console.log(`  [YouTube] Done: ${fmt(profile.subscribers)} subs, ${items.length} content items, ${fmt(totals.views)} total views`);
+    return items;
+}
+
+function computeMetrics(profile, items) {
+    const totals = sumContent(items);
+    return {
+        avatar: profile.avatar,
+        subscribers: profile.subscribers,
+        totalRecentViews: totals.views,
+        totalRecentLikes: totals.likes,
+        totalRecentComments: totals.comments,
+        engagementRate: percent(totals.likes + totals.comments, totals.views),
+        videoCount: items.filter(c => c.type === 'video').length,
+        shortCount: items.filter(c => c.type === 'short').length,
+        totalCount: items.length
+    };
+}
+
+// Channel header from the page (name, avatar, subscribers) instead of a yt-dlp run
+async function verify(handle, url) {
+    const { html } = await fetchHtml(url);
+    const ytData = extractYtInitialDataFromHtml(html);
+    if (!ytData?.header) throw new Error('Canal não encontrado');
+    const parsed = parseYtInitialData(ytData);
+    return {
+        name: parsed.name || ytData.metadata?.channelMetadataRenderer?.title || handle,
+        avatar: parsed.avatar,
+        followers: parsed.subscriberText ? parseSubText(parsed.subscriberText) : null,
+        isPrivate: false,
+        isVerified: /BADGE_STYLE_TYPE_VERIFIED|CHECK_CIRCLE_FILLED/.test(JSON.stringify(ytData.header))
+    };
+}
+
+module.exports = {
+    id: 'youtube',
+    label: 'YouTube',
+    hosts: ['youtube.com', 'youtu.be'],
+    capabilities: { followers: 'subscribers', contentTypes: ['video', 'short'], cookies: 'browser', browser: true },
+    buildUrl, parseProfileUrl, resolveLink, resolve, fetchProfile, fetchContent, computeMetrics, verify
+};
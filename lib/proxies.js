@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ProxyAgent, Socks5ProxyAgent, fetch: proxiedFetch } = require('undici');
+const { writeFileAtomic } = require('./storage');
+
+// Outbound proxies for the fetch pipeline, kept in <dataDir>/proxies.json:
+// {
+//   proxies: [{ id, name, url (encrypted), urlHint, protocol, platforms, enabled, status ('unknown' | 'healthy' | 'failing'),
+//               failures, lastError, lastCheckedAt, latencyMs, createdBy, createdAt }]
+// }
+// platforms lists the platforms a proxy serves ([] = all of them); an account can also be pinned to one proxy
+// (account.proxyId). pick() rotates over the enabled proxies that aren't failing. A proxy is marked failing after
+// MAX_FAILURES connection errors in a row, reported by fetches or health checks, and comes back once a health check
+// (every checkIntervalMs, GET checkUrl through the proxy) gets through again.
+// The URL may carry credentials, so it is encrypted at rest (lib/secrets) and never returned.
+const PROTOCOLS = ['http:', 'https:', 'socks5:', 'socks:'];
+const MAX_FAILURES = 3;
+const CHECK_TIMEOUT_MS = 10000;
+
+function fail(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+// undici dispatchers for Node fetch, one per proxy URL
+const dispatchers = new Map();
+
+function proxyDispatcher(url) {
+    let dispatcher = dispatchers.get(url);
+    if (!dispatcher) {
+        dispatcher = /^socks/i.test(url) ? new Socks5ProxyAgent(url) : new ProxyAgent(url);
+        dispatchers.set(url, dispatcher);
+    }
+    return dispatcher;
+}
+
+function dropDispatcher(url) {
+    const dispatcher = dispatchers.get(url);
+    if (!dispatcher) return;
+    dispatchers.delete(url);
+    dispatcher.close().catch(() => { });
+}
+
+// "socks5://•••@10.0.0.5:1080": where it goes, without the credentials
+function urlHint(url) {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.username ? '•••@' : ''}${parsed.host}`;
+}
+
+// Returns an error message or null
+function validateProxy({ name, url, platforms }, platformIds, { partial = false } = {}) {
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim() || name.length > 60) return 'Name is required (max 60 characters)';
+    }
+    if (!partial || url !== undefined) {
+        let parsed = null;
+        try { parsed = new URL(url); } catch (e) { }
+        if (!parsed || !PROTOCOLS.includes(parsed.protocol) || !parsed.hostname || !parsed.port) {
+            return 'url must look like http://host:port, https://host:port or socks5://host:port (user:password@ optional)';
+        }
+    }
+    if (platforms !== undefined) {
+        if (!Array.isArray(platforms) || platforms.some(p => !platformIds.includes(p))) {
+            return `platforms must be a list of: ${platformIds.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+function createProxies({ dataDir, secrets, platformIds, checkUrl = 'https://www.gstatic.com/generate_204', checkIntervalMs = 10 * 60 * 1000 }) {
+    const file = path.join(dataDir, 'proxies.json');
+    let data = { proxies: [] };
+    try {
+        if (fs.existsSync(file)) data = { proxies: [], ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (e) { console.error('Proxies read error:', e.message); }
+
+    // platform -> position of the last proxy handed out
+    const rotation = new Map();
+
+    function save() {
+        writeFileAtomic(file, JSON.stringify(data, null, 2));
+    }
+
+    function publicProxy(proxy) {
+        const { url, ...rest } = proxy;
+        return rest;
+    }
+
+    function listProxies() {
+        return data.proxies.map(publicProxy);
+    }
+
+    function getProxy(id) {
+        const proxy = data.proxies.find(p => p.id === id);
+        return proxy ? publicProxy(proxy) : null;
+    }
+
+    function createProxy({ name, url, platforms = [] }, createdBy) {
+        const error = validateProxy({ name, url, platforms }, platformIds);
+        if (error) throw fail(400, error);
+        const proxy = {
+            id: 'px_' + crypto.randomBytes(6).toString('hex'),
+            name: name.trim(),
+            url: secrets.encrypt(url),
+            urlHint: urlHint(url),
+            protocol: new URL(url).protocol.replace(':', ''),
+            platforms: [...new Set(platforms)],
+            enabled: true,
+            status: 'unknown',
+            failures: 0,
+            lastError: null,
+            lastCheckedAt: null,
+            latencyMs: null,
+            createdBy: createdBy || null,
+            createdAt: new Date().toISOString()
+        };
+        data.proxies.push(proxy);
+        save();
+        return publicProxy(proxy);
+    }
+
+    // fields: { name?, url?, platforms?, enabled? }. A new URL starts over as 'unknown'.
+    function updateProxy(id, { name, url, platforms, enabled }) {
+        const proxy = data.proxies.find(p => p.id === id);
+        if (!proxy) return null;
+        const error = validateProxy({ name, url, platforms }, platformIds, { partial: true });
+        if (error) throw fail(400, error);
+        if (name !== undefined) proxy.name = name.trim();
+        if (url !== undefined) {
+            dropDispatcher(readUrl(proxy));
+            Object.assign(proxy, {
+                url: secrets.encrypt(url), urlHint: urlHint(url), protocol: new URL(url).protocol.replace(':', ''),
+                status: 'unknown', failures: 0, lastError: null, latencyMs: null
+            });
+        }
+        if (platforms !== undefined) proxy.platforms = [...new Set(platforms)];
+        if (enabled !== undefined) proxy.enabled = !!enabled;
+        save();
+        return publicProxy(proxy);
+    }
+
+    function deleteProxy(id) {
+        const proxy = data.proxies.find(p => p.id === id);
+        if (!proxy) return false;
+        dropDispatcher(readUrl(proxy));
+        data.proxies = data.proxies.filter(p => p.id !== id);
+        save();
+        return true;
+    }
+
+    // null when the secret can't be read (key changed); such a proxy is skipped
+    function readUrl(proxy) {
+        try {
+            return secrets.decrypt(proxy.url);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    const usable = proxy => proxy.enabled && proxy.status !== 'failing' && readUrl(proxy) !== null;
+
+    // Proxy for a fetch of platform -> { id, name, urlHint, url } or null to go direct. The account's pinned proxy
+    // wins while it works; otherwise the platform's proxies take turns.
+    function pick(platform, pinnedId) {
+        const pinned = pinnedId ? data.proxies.find(p => p.id === pinnedId) : null;
+        if (pinned && usable(pinned)) return { id: pinned.id, name: pinned.name, urlHint: pinned.urlHint, url: readUrl(pinned) };
+        if (pinned) console.log(`[Proxy] ${pinned.name} is ${pinned.enabled ? 'failing' : 'disabled'}, using the ${platform} pool instead`);
+
+        const pool = data.proxies.filter(p => usable(p) && (p.platforms.length === 0 || p.platforms.includes(platform)));
+        if (pool.length === 0) return null;
+        const index = ((rotation.get(platform) ?? -1) + 1) % pool.length;
+        rotation.set(platform, index);
+        const proxy = pool[index];
+        return { id: proxy.id, name: proxy.name, urlHint: proxy.urlHint, url: readUrl(proxy) };
+    }
+
+    // A request through the proxy couldn't get out (connection refused, tunnel or auth error...)
+    function reportFailure(id, reason) {
+        const proxy = data.proxies.find(p => p.id === id);
+        if (!proxy) return;
+        proxy.failures++;
+        proxy.lastError = String(reason || 'erro de conexão').slice(0, 200);
+        if (proxy.failures >= MAX_FAILURES && proxy.status !== 'failing') {
+            proxy.status = 'failing';
+            console.log(`[Proxy] ${proxy.name} failed ${proxy.failures} times in a row, rotating it out: ${proxy.lastError}`);
+        }
+        save();
+    }
+
+    // A fetch went through fine: the failure streak starts over
+    function reportSuccess(id) {
+        const proxy = data.proxies.find(p => p.id === id);
+        if (!proxy || (proxy.failures === 0 && proxy.status === 'healthy')) return;
+        Object.assign(proxy, { failures: 0, status: 'healthy' });
+        save();
+    }
+
+    // GET checkUrl through the proxy -> the proxy (public fields) with its new status
+    async function check(id) {
+        const proxy = data.proxies.find(p => p.id === id);
+        if (!proxy) return null;
+        const url = readUrl(proxy);
+        const started = Date.now();
+        let error = url ? null : 'não foi possível ler a URL (chave de criptografia mudou?)';
+        if (url) {
+            try {
+                const res = await proxiedFetch(checkUrl, {
+                    dispatcher: proxyDispatcher(url),
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(CHECK_TIMEOUT_MS)
+                });
+                await res.arrayBuffer().catch(() => { });
+                if (res.status >= 400) error = `HTTP ${res.status}`;
+            } catch (e) {
+                error = e.cause?.message || e.message;
+            }
+        }
+        // It may have been deleted while the check ran
+        if (!data.proxies.includes(proxy)) return null;
+        proxy.lastCheckedAt = new Date().toISOString();
+        if (error) {
+            proxy.latencyMs = null;
+            reportFailure(id, error);
+        } else {
+            if (proxy.status === 'failing') console.log(`[Proxy] ${proxy.name} is back`);
+            Object.assign(proxy, { status: 'healthy', failures: 0, lastError: null, latencyMs: Date.now() - started });
+            save();
+        }
+        return publicProxy(proxy);
+    }
+
+    // Enabled proxies one after the other; disabled ones are left as they are
+    async function checkAll() {
+        for (const proxy of data.proxies.filter(p => p.enabled)) {
+            await check(proxy.id).catch(e => console.error(`[Proxy] Check of ${proxy.name} failed:`, e.message));
+        }
+    }
+
+    function start() {
+        if (data.proxies.length > 0) checkAll();
+        setInterval(checkAll, checkIntervalMs).unref();
+    }
+
+    return { file, listProxies, getProxy, createProxy, updateProxy, deleteProxy, pick, reportFailure, reportSuccess, check, checkAll, start };
+}
+
+module.exports = { PROTOCOLS, MAX_FAILURES, proxyDispatcher, proxiedFetch, createProxies };
@@ -0,0 +1,207 @@
+// Request governor for the scrapers in lib/platforms: every yt-dlp run, page load and HTTP request of a fetch asks
+// it first, so a fetch-all across many accounts doesn't hammer a platform until it blocks the server's IP.
+//  - Token bucket per platform: `perMinute` requests on average, up to `burst` back to back. Callers over the
+//    limit wait their turn (in order) instead of failing.
+//  - One cap on yt-dlp processes running at the same time, across all platforms (each one is a Python process
+//    of its own, and TikTok/Facebook read their videos in batches).
+//  - Backoff: when a platform answers 429, shows a bot check or sends us to a login page, throttled() pauses every
+//    request to it for backoffBaseMs, doubling for each new signal within BACKOFF_MEMORY_MS of the previous one
+//    (up to backoffMaxMs). Requests already in flight when the pause started don't escalate it again.
+// State changes that matter to people (a pause starting or ending) go to the onChange listeners.
+const DEFAULT_LIMITS = {
+    youtube: { perMinute: 60, burst: 10 },
+    tiktok: { perMinute: 20, burst: 5 },
+    instagram: { perMinute: 6, burst: 2 },
+    facebook: { perMinute: 20, burst: 5 },
+    twitter: { perMinute: 30, burst: 5 },
+    twitch: { perMinute: 60, burst: 10 },
+    bluesky: { perMinute: 120, burst: 20 },
+    threads: { perMinute: 20, burst: 5 }
+};
+const FALLBACK_LIMIT = { perMinute: 30, burst: 5 };
+// A throttle signal this long after the previous one starts over at backoffBaseMs
+const BACKOFF_MEMORY_MS = 30 * 60 * 1000;
+
+// "tiktok=20/5,instagram=6" (requests per minute / burst) -> { tiktok: { perMinute: 20, burst: 5 }, instagram: { perMinute: 6 } };
+// a missing burst keeps the platform's default
+function parseLimits(text) {
+    const limits = {};
+    for (const part of String(text || '').split(',')) {
+        const m = part.trim().match(/^(\w+)\s*=\s*(\d+(?:\.\d+)?)(?:\s*\/\s*(\d+))?$/);
+        if (!m) {
+            if (part.trim()) console.log(`[Governor] Ignoring rate limit "${part.trim()}" (expected platform=perMinute/burst)`);
+            continue;
+        }
+        const perMinute = parseFloat(m[2]);
+        if (perMinute > 0) limits[m[1].toLowerCase()] = { perMinute, ...(m[3] ? { burst: Math.max(1, parseInt(m[3], 10)) } : {}) };
+    }
+    return limits;
+}
+
+// Resolves after ms, rejects with the signal's reason if it aborts first
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        signal?.throwIfAborted();
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function createRateGovernor({ limits = {}, maxProcesses = 4, backoffBaseMs = 30 * 1000, backoffMaxMs = 15 * 60 * 1000 } = {}) {
+    const platforms = new Map();
+    const listeners = new Set();
+    const processes = { running: 0, queue: [] }; // queue: [{ resolve, reject, signal, onAbort }]
+
+    function bucket(platform) {
+        let b = platforms.get(platform);
+        if (!b) {
+            const limit = { ...(DEFAULT_LIMITS[platform] || FALLBACK_LIMIT), ...limits[platform] };
+            b = {
+                ...limit,
+                interval: 60000 / limit.perMinute,
+                // Time the next request may start at if the bucket were empty (GCRA); up to burst - 1 intervals
+                // of it may be in the future
+                nextAt: 0,
+                waiting: 0,
+                backoffUntil: 0,
+                backoffLevel: 0,
+                backoffReason: null,
+                throttledAt: 0,
+                backoffTimer: null
+            };
+            platforms.set(platform, b);
+        }
+        return b;
+    }
+
+    function describe(platform) {
+        const b = bucket(platform);
+        const now = Date.now();
+        const backingOff = b.backoffUntil > now;
+        return {
+            platform,
+            perMinute: b.perMinute,
+            burst: b.burst,
+            available: Math.max(0, Math.min(b.burst, Math.floor(b.burst - (b.nextAt - now) / b.interval))),
+            waiting: b.waiting,
+            backoffUntil: backingOff ? new Date(b.backoffUntil).toISOString() : null,
+            backoffLevel: backingOff ? b.backoffLevel : 0,
+            reason: backingOff ? b.backoffReason : null,
+            lastThrottledAt: b.throttledAt ? new Date(b.throttledAt).toISOString() : null
+        };
+    }
+
+    function changed(platform) {
+        const state = describe(platform);
+        for (const listener of listeners) {
+            try { listener(state); } catch (e) { console.error('[Governor] Listener error:', e.message); }
+        }
+    }
+
+    // Wait until platform may send one more request. onWait(ms, reason) is called before each wait long enough
+    // to notice (reason: 'backoff' | 'rate'); signal gives up the wait.
+    async function acquire(platform, { signal, onWait } = {}) {
+        const b = bucket(platform);
+        b.waiting++;
+        try {
+            for (; ;) {
+                signal?.throwIfAborted();
+                const now = Date.now();
+                if (b.backoffUntil > now) {
+                    onWait?.(b.backoffUntil - now, 'backoff');
+                    await sleep(b.backoffUntil - now, signal);
+                    continue;
+                }
+                const start = Math.max(b.nextAt, now);
+                const wait = Math.max(0, start - (b.burst - 1) * b.interval - now);
+                b.nextAt = start + b.interval;
+                if (wait === 0) return;
+                if (wait >= 1000) onWait?.(wait, 'rate');
+                await sleep(wait, signal);
+                // A pause that started while we waited applies to us too
+                if (b.backoffUntil <= Date.now()) return;
+            }
+        } finally {
+            b.waiting--;
+        }
+    }
+
+    // The platform pushed back (429, IP block, bot check, login wall). sentAt is when the request that got the answer
+    // was sent: answers to requests sent before the current pause started belong to the same episode.
+    function throttled(platform, reason, sentAt = Date.now()) {
+        const b = bucket(platform);
+        const now = Date.now();
+        if (sentAt <= b.throttledAt) return;
+        b.backoffLevel = b.throttledAt && now - b.throttledAt < BACKOFF_MEMORY_MS ? b.backoffLevel + 1 : 1;
+        const delay = Math.min(backoffBaseMs * 2 ** (b.backoffLevel - 1), backoffMaxMs);
+        b.throttledAt = now;
+        b.backoffUntil = now + delay;
+        b.backoffReason = reason;
+        console.log(`[Governor] ${platform} throttled, ${reason}: pausing requests for ${Math.round(delay / 1000)}s (level ${b.backoffLevel})`);
+        clearTimeout(b.backoffTimer);
+        b.backoffTimer = setTimeout(() => {
+            console.log(`[Governor] ${platform} resuming requests`);
+            changed(platform);
+        }, delay);
+        b.backoffTimer.unref?.();
+        changed(platform);
+    }
+
+    // Run fn() once a yt-dlp slot is free (maxProcesses at a time)
+    async function withProcessSlot(fn, { signal } = {}) {
+        signal?.throwIfAborted();
+        if (processes.running >= maxProcesses) {
+            await new Promise((resolve, reject) => {
+                const waiter = { resolve, reject, signal, onAbort: null };
+                if (signal) {
+                    waiter.onAbort = () => {
+                        processes.queue.splice(processes.queue.indexOf(waiter), 1);
+                        reject(signal.reason);
+                    };
+                    signal.addEventListener('abort', waiter.onAbort, { once: true });
+                }
+                processes.queue.push(waiter);
+            });
+        } else {
+            processes.running++;
+        }
+        try {
+            return await fn();
+        } finally {
+            const next = processes.queue.shift();
+            // The slot passes straight to the next waiter, so running doesn't change
+            if (next) {
+                next.signal?.removeEventListener('abort', next.onAbort);
+                next.resolve();
+            } else {
+                processes.running--;
+            }
+        }
+    }
+
+    // Every platform seen so far plus the ones with default limits
+    function state() {
+        const ids = new Set([...Object.keys(DEFAULT_LIMITS), ...platforms.keys()]);
+        return {
+            platforms: [...ids].map(describe),
+            processes: { running: processes.running, max: maxProcesses, waiting: processes.queue.length }
+        };
+    }
+
+    // listener(platformState) when a pause starts or ends; returns a function that unsubscribes
+    function onChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    return { acquire, throttled, withProcessSlot, describe, state, onChange };
+}
+
+module.exports = { DEFAULT_LIMITS, parseLimits, createRateGovernor };
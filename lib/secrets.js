@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Secrets at rest (account cookies, API tokens) are stored as "enc:v1:<iv>:<tag>:<ciphertext>" (AES-256-GCM, base64 parts).
+// The key comes from SECRETS_KEY: 64 hex chars, base64 of 32 bytes, or any passphrase (derived with scrypt).
+// Without it a random key is generated once into <dataDir>/.secret.key (mode 600; the server only serves its two pages, never
+// files from the data dir); losing that file makes stored secrets unreadable.
+const PREFIX = 'enc:v1:';
+const KEY_FILE = '.secret.key';
+
+function keyFromEnv(value) {
+    if (/^[0-9a-f]{64}$/i.test(value)) return Buffer.from(value, 'hex');
+    const b64 = Buffer.from(value, 'base64');
+    if (b64.length === 32 && b64.toString('base64').replace(/=+$/, '') === value.replace(/=+$/, '')) return b64;
+    return crypto.scryptSync(value, 'social-tracker-secrets', 32);
+}
+
+function loadKey(dataDir) {
+    if (process.env.SECRETS_KEY) return { key: keyFromEnv(process.env.SECRETS_KEY), source: 'SECRETS_KEY' };
+
+    const file = path.join(dataDir, KEY_FILE);
+    if (fs.existsSync(file)) return { key: Buffer.from(fs.readFileSync(file, 'utf8').trim(), 'hex'), source: file };
+
+    const key = crypto.randomBytes(32);
+    fs.writeFileSync(file, key.toString('hex') + '\n', { encoding: 'utf8', mode: 0o600 });
+    console.warn(`[Secrets] SECRETS_KEY is not set; generated a key in ${file}. Set SECRETS_KEY (or back that file up) to keep stored cookies readable.`);
+    return { key, source: file };
+}
+
+function createSecrets({ dataDir }) {
+    const { key, source } = loadKey(dataDir);
+
+    function isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX);
+    }
+
+    function encrypt(plaintext) {
+        if (!plaintext) return null;
+        if (isEncrypted(plaintext)) return plaintext;
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+        return PREFIX + [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join(':');
+    }
+
+    // Values written before encryption existed come back unchanged
+    function decrypt(value) {
+        if (!value) return null;
+        if (!isEncrypted(value)) return value;
+        const [iv, tag, data] = value.slice(PREFIX.length).split(':').map(p => Buffer.from(p, 'base64'));
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+            decipher.setAuthTag(tag);
+            return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+        } catch (e) {
+            throw new Error('Could not decrypt a stored secret (was SECRETS_KEY changed?)');
+        }
+    }
+
+    // What read APIs show instead of the secret: "••••" + the last few characters
+    function mask(plaintext, visible = 4) {
+        return plaintext ? '••••' + String(plaintext).slice(-visible) : '';
+    }
+
+    return { source, isEncrypted, encrypt, decrypt, mask };
+}
+
+module.exports = { createSecrets };
@@ -0,0 +1,22 @@
+const fs = require('fs');
+
+// Write to a temp file next to the target, flush it, then rename over the original. A crash or a
+// concurrent reader never sees a half-written file: it gets either the old contents or the new ones.
+function writeFileAtomic(file, contents) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+        fs.writeSync(fd, contents, null, 'utf8');
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    try {
+        fs.renameSync(tmp, file);
+    } catch (e) {
+        fs.rmSync(tmp, { force: true });
+        throw e;
+    }
+}
+
+module.exports = { writeFileAtomic };
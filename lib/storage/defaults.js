@@ -0,0 +1,14 @@
+// Shape shared by every storage driver
+const PLATFORMS = ['youtube', 'tiktok', 'instagram', 'facebook', 'twitter', 'twitch', 'bluesky', 'threads'];
+
+// Empty database object: one account array per platform + folders per platform
+function emptyDB() {
+    const db = { _folders: {} };
+    for (const p of PLATFORMS) {
+        db[p] = [];
+        db._folders[p] = [];
+    }
+    return db;
+}
+
+module.exports = { PLATFORMS, emptyDB };
@@ -0,0 +1,24 @@
+const { createJsonStore } = require('./json-store');
+const { createSqliteStore } = require('./sqlite-store');
+const { PLATFORMS, emptyDB } = require('./defaults');
+const { writeFileAtomic } = require('./atomic');
+
+// Storage drivers share one interface:
+//   load() / save(db)                 whole database object ({ youtube: [...], ..., _folders, _settings })
+//   update(mutator)                   load, mutator(db), save; returns the mutator's result
+//   patchAccount(platform, id, fields)  merge fields into the stored account (false if it was deleted meanwhile)
+//   addSnapshot / listSnapshots       per-account metric snapshots
+//   addContentPoints / getContentSeries / deleteHistory   per-content time series
+//
+// Every method is synchronous, so each call is its own critical section: nothing else in the process
+// can write between the read and the write of an update()/patchAccount(). Code that awaits (fetches)
+// must not hold on to a loaded copy and save() it later; it patches the fields it owns instead.
+const DRIVERS = { json: createJsonStore, sqlite: createSqliteStore };
+
+function createStorage({ driver = 'json', dataDir, maxContentPoints = 500 }) {
+    const create = DRIVERS[driver];
+    if (!create) throw new Error(`Unknown storage driver "${driver}" (use: ${Object.keys(DRIVERS).join(', ')})`);
+    return create({ dataDir, maxContentPoints });
+}
+
+module.exports = { createStorage, writeFileAtomic, PLATFORMS, emptyDB };
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { emptyDB } = require('./defaults');
+const { writeFileAtomic } = require('./atomic');
+
+// JSON file storage: accounts.json holds accounts, folders and settings; history.json holds
+// metric snapshots and content time series:
+//   { accounts: { 'platform:accountId': [snapshot] },
+//     content: { 'platform:contentId': { accountId, uploadedAt, points: [{ at, views, likes, comments }] } } }
+function createJsonStore({ dataDir, maxContentPoints }) {
+    const dbFile = path.join(dataDir, 'accounts.json');
+    const historyFile = path.join(dataDir, 'history.json');
+
+    function load() {
+        try {
+            if (fs.existsSync(dbFile)) return JSON.parse(fs.readFileSync(dbFile, 'utf8'));
+        } catch (e) { console.error('DB read error:', e.message); }
+        return emptyDB();
+    }
+
+    function save(db) {
+        writeFileAtomic(dbFile, JSON.stringify(db, null, 2));
+    }
+
+    // Read-modify-write on a fresh copy. Runs synchronously start to finish, so no other write can
+    // land between the read and the save (see update() in ./index.js).
+    function update(mutator) {
+        const db = load();
+        const result = mutator(db);
+        if (result && typeof result.then === 'function') throw new Error('Storage update() mutators must be synchronous');
+        save(db);
+        return result;
+    }
+
+    // Merge fields into one account as it is on disk now. Returns false if it no longer exists (deleted meanwhile).
+    function patchAccount(platform, id, fields) {
+        return update(db => {
+            const account = (db[platform] || []).find(a => a.id === id);
+            if (!account) return false;
+            Object.assign(account, fields);
+            return true;
+        });
+    }
+
+    function loadHistory() {
+        try {
+            if (fs.existsSync(historyFile)) {
+                const history = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+                return { accounts: history.accounts || {}, content: history.content || {} };
+            }
+        } catch (e) { console.error('History read error:', e.message); }
+        return { accounts: {}, content: {} };
+    }
+
+    function saveHistory(history) {
+        writeFileAtomic(historyFile, JSON.stringify(history));
+    }
+
+    function addSnapshot(platform, accountId, snapshot) {
+        const history = loadHistory();
+        const key = `${platform}:${accountId}`;
+        if (!history.accounts[key]) history.accounts[key] = [];
+        history.accounts[key].push(snapshot);
+        saveHistory(history);
+    }
+
+    function listSnapshots(platform, accountId) {
+        return loadHistory().accounts[`${platform}:${accountId}`] || [];
+    }
+
+    // entries: [{ contentId, uploadedAt, point }]. Returns { [contentId]: series } after the append.
+    function addContentPoints(platform, accountId, entries) {
+        const history = loadHistory();
+        const result = {};
+        for (const { contentId, uploadedAt, point } of entries) {
+            const key = `${platform}:${contentId}`;
+            if (!history.content[key]) history.content[key] = { accountId, uploadedAt, points: [] };
+            const series = history.content[key];
+            series.points.push(point);
+            if (series.points.length > maxContentPoints) series.points.splice(0, series.points.length - maxContentPoints);
+            result[contentId] = series;
+        }
+        saveHistory(history);
+        return result;
+    }
+
+    function getContentSeries(platform, contentId) {
+        return loadHistory().content[`${platform}:${contentId}`] || null;
+    }
+
+    function deleteHistory(platform, accountId) {
+        const history = loadHistory();
+        delete history.accounts[`${platform}:${accountId}`];
+        for (const [key, series] of Object.entries(history.content)) {
+            if (key.startsWith(platform + ':') && series.accountId === accountId) delete history.content[key];
+        }
+        saveHistory(history);
+    }
+
+    return {
+        driver: 'json',
+        location: dbFile,
+        load, save, update, patchAccount,
+        addSnapshot, listSnapshots, addContentPoints, getContentSeries, deleteHistory,
+        close() { }
+    };
+}
+
+module.exports = { createJsonStore };
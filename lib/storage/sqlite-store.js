@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const { emptyDB } = require('./defaults');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS accounts (
+    platform TEXT NOT NULL,
+    id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (platform, id)
+);
+CREATE TABLE IF NOT EXISTS folders (
+    platform TEXT NOT NULL,
+    id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (platform, id)
+);
+CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+-- One row per content item ever seen; position is its index in the account's recentContent (NULL once it drops out)
+CREATE TABLE IF NOT EXISTS content (
+    platform TEXT NOT NULL,
+    content_id TEXT NOT NULL,
+    account_id TEXT NOT NULL,
+    uploaded_at TEXT,
+    position INTEGER,
+    data TEXT NOT NULL,
+    PRIMARY KEY (platform, content_id)
+);
+CREATE INDEX IF NOT EXISTS idx_content_account ON content (platform, account_id);
+CREATE TABLE IF NOT EXISTS content_snapshots (
+    platform TEXT NOT NULL,
+    content_id TEXT NOT NULL,
+    at TEXT NOT NULL,
+    views INTEGER NOT NULL,
+    likes INTEGER NOT NULL,
+    comments INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_content_snapshots ON content_snapshots (platform, content_id);
+CREATE TABLE IF NOT EXISTS snapshots (
+    platform TEXT NOT NULL,
+    account_id TEXT NOT NULL,
+    at TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_snapshots_account ON snapshots (platform, account_id);
+`;
+
+// SQLite storage (node:sqlite, Node 22.13+) in <dataDir>/tracker.db. Same interface as the JSON store;
+// the first time it opens an empty database it imports accounts.json/history.json from the same directory.
+function createSqliteStore({ dataDir, maxContentPoints }) {
+    let DatabaseSync;
+    try {
+        ({ DatabaseSync } = require('node:sqlite'));
+    } catch (e) {
+        throw new Error(`SQLite storage needs Node 22.13+ (node:sqlite unavailable: ${e.message})`);
+    }
+
+    const file = path.join(dataDir, 'tracker.db');
+    const db = new DatabaseSync(file);
+    db.exec('PRAGMA journal_mode = WAL;');
+    db.exec(SCHEMA);
+
+    const statements = {};
+    const stmt = sql => statements[sql] || (statements[sql] = db.prepare(sql));
+    const all = (sql, ...params) => stmt(sql).all(...params);
+    const get = (sql, ...params) => stmt(sql).get(...params);
+    const run = (sql, ...params) => stmt(sql).run(...params);
+
+    // Nested calls (save() inside update()) join the outer transaction
+    let inTransaction = false;
+    function transaction(fn) {
+        if (inTransaction) return fn();
+        db.exec('BEGIN IMMEDIATE');
+        inTransaction = true;
+        try {
+            const result = fn();
+            db.exec('COMMIT');
+            return result;
+        } catch (e) {
+            db.exec('ROLLBACK');
+            throw e;
+        } finally {
+            inTransaction = false;
+        }
+    }
+
+    const contentKey = (account, item, i) => String(item.id ?? `${account.id}#${i}`);
+
+    // Sync the account's recentContent rows, touching only the ones that changed
+    function writeContent(platform, account) {
+        const items = account.recentContent || [];
+        const current = new Map(all('SELECT content_id, position, data FROM content WHERE platform = ? AND account_id = ? AND position IS NOT NULL', platform, account.id)
+            .map(r => [r.content_id, r]));
+        items.forEach((item, i) => {
+            const id = contentKey(account, item, i);
+            const data = JSON.stringify(item);
+            const row = current.get(id);
+            current.delete(id);
+            if (row && row.position === i && row.data === data) return;
+            run(`INSERT INTO content (platform, content_id, account_id, position, data) VALUES (?, ?, ?, ?, ?)
+                 ON CONFLICT (platform, content_id) DO UPDATE SET account_id = excluded.account_id, position = excluded.position, data = excluded.data`,
+                platform, id, account.id, i, data);
+        });
+        for (const id of current.keys()) run('UPDATE content SET position = NULL WHERE platform = ? AND content_id = ?', platform, id);
+    }
+
+    function writeAccount(platform, account, position, existing) {
+        const { recentContent, ...rest } = account;
+        const data = JSON.stringify(rest);
+        if (!existing || existing.data !== data || existing.position !== position) {
+            run(`INSERT INTO accounts (platform, id, position, data) VALUES (?, ?, ?, ?)
+                 ON CONFLICT (platform, id) DO UPDATE SET position = excluded.position, data = excluded.data`,
+                platform, account.id, position, data);
+        }
+        writeContent(platform, account);
+    }
+
+    function load() {
+        const result = emptyDB();
+        const byKey = new Map();
+        for (const row of all('SELECT platform, id, data FROM accounts ORDER BY platform, position')) {
+            const account = { ...JSON.parse(row.data), recentContent: [] };
+            if (!result[row.platform]) result[row.platform] = [];
+            result[row.platform].push(account);
+            byKey.set(`${row.platform}:${row.id}`, account);
+        }
+        for (const row of all('SELECT platform, account_id, data FROM content WHERE position IS NOT NULL ORDER BY platform, account_id, position')) {
+            const account = byKey.get(`${row.platform}:${row.account_id}`);
+            if (account) account.recentContent.push(JSON.parse(row.data));
+        }
+        for (const row of all('SELECT platform, data FROM folders ORDER BY platform, position')) {
+            if (!result._folders[row.platform]) result._folders[row.platform] = [];
+            result._folders[row.platform].push(JSON.parse(row.data));
+        }
+        const settings = all('SELECT key, value FROM settings');
+        if (settings.length > 0) {
+            result._settings = {};
+            for (const row of settings) result._settings[row.key] = JSON.parse(row.value);
+        }
+        return result;
+    }
+
+    function save(data) {
+        transaction(() => {
+            const existing = new Map(all('SELECT platform, id, position, data FROM accounts').map(r => [`${r.platform}:${r.id}`, r]));
+            for (const [platform, accounts] of Object.entries(data)) {
+                if (platform.startsWith('_') || !Array.isArray(accounts)) continue;
+                accounts.forEach((account, i) => {
+                    const key = `${platform}:${account.id}`;
+                    writeAccount(platform, account, i, existing.get(key));
+                    existing.delete(key);
+                });
+            }
+            // Whatever is left was removed from the object
+            for (const row of existing.values()) {
+                run('DELETE FROM accounts WHERE platform = ? AND id = ?', row.platform, row.id);
+                run('UPDATE content SET position = NULL WHERE platform = ? AND account_id = ?', row.platform, row.id);
+            }
+
+            run('DELETE FROM folders');
+            for (const [platform, folders] of Object.entries(data._folders || {})) {
+                (folders || []).forEach((folder, i) => run('INSERT INTO folders (platform, id, position, data) VALUES (?, ?, ?, ?)', platform, folder.id, i, JSON.stringify(folder)));
+            }
+
+            run('DELETE FROM settings');
+            for (const [key, value] of Object.entries(data._settings || {})) {
+                if (value !== undefined) run('INSERT INTO settings (key, value) VALUES (?, ?)', key, JSON.stringify(value));
+            }
+        });
+    }
+
+    function update(mutator) {
+        return transaction(() => {
+            const data = load();
+            const result = mutator(data);
+            if (result && typeof result.then === 'function') throw new Error('Storage update() mutators must be synchronous');
+            save(data);
+            return result;
+        });
+    }
+
+    // Only touches the account row (and its content rows when recentContent is among the fields)
+    function patchAccount(platform, id, fields) {
+        return transaction(() => {
+            const existing = get('SELECT data FROM accounts WHERE platform = ? AND id = ?', platform, id);
+            if (!existing) return false;
+            const { recentContent, ...rest } = fields;
+            const data = JSON.stringify({ ...JSON.parse(existing.data), ...rest });
+            if (data !== existing.data) run('UPDATE accounts SET data = ? WHERE platform = ? AND id = ?', data, platform, id);
+            if (recentContent) writeContent(platform, { id, recentContent });
+            return true;
+        });
+    }
+
+    function addSnapshot(platform, accountId, snapshot) {
+        run('INSERT INTO snapshots (platform, account_id, at, data) VALUES (?, ?, ?, ?)', platform, accountId, snapshot.at, JSON.stringify(snapshot));
+    }
+
+    function listSnapshots(platform, accountId) {
+        return all('SELECT data FROM snapshots WHERE platform = ? AND account_id = ? ORDER BY rowid', platform, accountId).map(r => JSON.parse(r.data));
+    }
+
+    function getContentSeries(platform, contentId) {
+        const meta = get('SELECT account_id, uploaded_at FROM content WHERE platform = ? AND content_id = ?', platform, String(contentId));
+        const points = all('SELECT at, views, likes, comments FROM content_snapshots WHERE platform = ? AND content_id = ? ORDER BY rowid', platform, String(contentId))
+            .map(r => ({ at: r.at, views: r.views, likes: r.likes, comments: r.comments }));
+        if (!meta && points.length === 0) return null;
+        return { accountId: meta?.account_id ?? null, uploadedAt: meta?.uploaded_at ?? null, points };
+    }
+
+    function addContentPoints(platform, accountId, entries) {
+        return transaction(() => {
+            const result = {};
+            for (const { contentId, uploadedAt, point } of entries) {
+                const id = String(contentId);
+                run(`INSERT INTO content (platform, content_id, account_id, uploaded_at, position, data) VALUES (?, ?, ?, ?, NULL, '{}')
+                     ON CONFLICT (platform, content_id) DO UPDATE SET uploaded_at = COALESCE(content.uploaded_at, excluded.uploaded_at)`,
+                    platform, id, accountId, uploadedAt);
+                run('INSERT INTO content_snapshots (platform, content_id, at, views, likes, comments) VALUES (?, ?, ?, ?, ?, ?)',
+                    platform, id, point.at, point.views, point.likes, point.comments);
+                run(`DELETE FROM content_snapshots WHERE platform = ? AND content_id = ? AND rowid NOT IN
+                     (SELECT rowid FROM content_snapshots WHERE platform = ? AND content_id = ? ORDER BY rowid DESC LIMIT ?)`,
+                    platform, id, platform, id, maxContentPoints);
+                result[contentId] = getContentSeries(platform, id);
+            }
+            return result;
+        });
+    }
+
+    function deleteHistory(platform, accountId) {
+        transaction(() => {
+            run('DELETE FROM snapshots WHERE platform = ? AND account_id = ?', platform, accountId);
+            run('DELETE FROM content_snapshots WHERE platform = ? AND content_id IN (SELECT content_id FROM content WHERE platform = ? AND account_id = ?)', platform, platform, accountId);
+            run('DELETE FROM content WHERE platform = ? AND account_id = ?', platform, accountId);
+        });
+    }
+
+    // One-shot import of the JSON files sitting in the same data directory
+    function migrateFromJson() {
+        if (get("SELECT value FROM meta WHERE key = 'json_migration'")) return;
+        const accountsFile = path.join(dataDir, 'accounts.json');
+        const historyFile = path.join(dataDir, 'history.json');
+        const hasAccounts = get('SELECT COUNT(*) AS n FROM accounts').n > 0;
+
+        if (!hasAccounts && fs.existsSync(accountsFile)) {
+            console.log(`[Storage] Importing ${accountsFile} into SQLite...`);
+            save(JSON.parse(fs.readFileSync(accountsFile, 'utf8')));
+            if (fs.existsSync(historyFile)) {
+                const history = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+                transaction(() => {
+                    for (const [key, snapshots] of Object.entries(history.accounts || {})) {
+                        const [platform, accountId] = key.split(':');
+                        for (const s of snapshots) run('INSERT INTO snapshots (platform, account_id, at, data) VALUES (?, ?, ?, ?)', platform, accountId, s.at, JSON.stringify(s));
+                    }
+                    for (const [key, series] of Object.entries(history.content || {})) {
+                        const [platform, ...rest] = key.split(':');
+                        const contentId = rest.join(':');
+                        run(`INSERT INTO content (platform, content_id, account_id, uploaded_at, position, data) VALUES (?, ?, ?, ?, NULL, '{}')
+                             ON CONFLICT (platform, content_id) DO UPDATE SET uploaded_at = excluded.uploaded_at`,
+                            platform, contentId, series.accountId || '', series.uploadedAt || null);
+                        for (const p of series.points || []) {
+                            run('INSERT INTO content_snapshots (platform, content_id, at, views, likes, comments) VALUES (?, ?, ?, ?, ?, ?)',
+                                platform, contentId, p.at, p.views || 0, p.likes || 0, p.comments || 0);
+                        }
+                    }
+                });
+            }
+            const counts = get('SELECT (SELECT COUNT(*) FROM accounts) AS accounts, (SELECT COUNT(*) FROM snapshots) AS snapshots');
+            console.log(`[Storage] Imported ${counts.accounts} accounts, ${counts.snapshots} snapshots. The JSON files were left in place and are no longer used.`);
+        }
+        run("INSERT INTO meta (key, value) VALUES ('json_migration', ?)", new Date().toISOString());
+    }
+
+    migrateFromJson();
+
+    return {
+        driver: 'sqlite',
+        location: file,
+        load, save, update, patchAccount,
+        addSnapshot, listSnapshots, addContentPoints, getContentSeries, deleteHistory,
+        close() { db.close(); }
+    };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./storage');
+const { getAdapter } = require('./platforms');
+
+// Outgoing webhooks, kept in <dataDir>/webhooks.json:
+// {
+//   endpoints: [{ id, url (encrypted), urlHint, secret (encrypted), events, format, description, enabled, createdBy, createdAt }],
+//   deliveries: [{ id, endpointId, event, payload, status ('pending' | 'success' | 'failed'), attempts: [{ at, responseStatus, error, durationMs }],
+//                  nextAttemptAt, createdAt, finishedAt, redeliveryOf }]
+// }
+// Payloads are { id, event, createdAt, data }; a redelivery repeats the id, so receivers can drop duplicates.
+// Every request is a JSON POST signed with the endpoint's secret:
+//   X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp (unix seconds)
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+// format 'slack' / 'discord' sends the text those incoming-webhook URLs expect instead of the full payload.
+// A delivery is retried with growing delays until it gets a 2xx or runs out of attempts; pending retries survive
+// a restart (start()). The URL and secret are encrypted at rest (lib/secrets) and never returned after creation.
+const EVENT_TYPES = ['fetch.completed', 'fetch.failed', 'content.new', 'alert.fired', 'account.added', 'account.removed'];
+const FORMATS = ['json', 'slack', 'discord'];
+// Delay before attempt 2, 3, ...; one more attempt than delays
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 3600 * 1000];
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_DELIVERIES = 500;
+
+function fail(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function num(n) {
+    return typeof n === 'number' ? n.toLocaleString('pt-BR') : '—';
+}
+
+function signed(n) {
+    return n > 0 ? `+${num(n)}` : num(n);
+}
+
+// One line of text for chat formats
+function describeEvent(event, data) {
+    const who = data.account ? `${getAdapter(data.platform)?.label || data.platform} @${data.account.handle}` : '';
+    switch (event) {
+        case 'fetch.completed': {
+            const followers = data.metrics?.subscribers ?? data.metrics?.followers;
+            const delta = data.delta?.followers ? ` (${signed(data.delta.followers)})` : '';
+            return `✅ ${who}: busca concluída — ${num(followers)} seguidores${delta}`;
+        }
+        case 'fetch.failed': return `⚠️ ${who}: busca falhou — ${data.error}`;
+        case 'content.new': return `🆕 ${who}: novo conteúdo "${data.content?.title || data.content?.id}" ${data.content?.url || ''}`.trim();
+        case 'alert.fired': return `🚨 ${who}: ${data.alert.message} (regra "${data.alert.ruleName}")`;
+        case 'account.added': return `➕ Conta ${who} adicionada`;
+        case 'account.removed': return `➖ Conta ${who} removida`;
+        default: return `🔔 ${event}`;
+    }
+}
+
+function formatBody(format, payload) {
+    if (format === 'slack') return JSON.stringify({ text: describeEvent(payload.event, payload.data) });
+    if (format === 'discord') return JSON.stringify({ content: describeEvent(payload.event, payload.data) });
+    return JSON.stringify(payload);
+}
+
+// Returns an error message or null
+function validateEndpoint({ url, events, format }, { partial = false } = {}) {
+    if (!partial || url !== undefined) {
+        let parsed = null;
+        try { parsed = new URL(url); } catch (e) { }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) return 'url must be an http(s) URL';
+    }
+    if (!partial || events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0 || events.some(e => !EVENT_TYPES.includes(e))) {
+            return `events must be a non-empty list of: ${EVENT_TYPES.join(', ')}`;
+        }
+    }
+    if (format !== undefined && !FORMATS.includes(format)) return `format must be one of: ${FORMATS.join(', ')}`;
+    return null;
+}
+
+// "https://hooks.slack.com/…abcd": enough to tell endpoints apart without showing tokens in the path
+function urlHint(url) {
+    const parsed = new URL(url);
+    return `${parsed.origin}/…${url.slice(-4)}`;
+}
+
+// retryDelays: delays (ms) before attempt 2, 3, ...; RETRY_DELAYS_MS unless a test shortens them
+function createWebhooks({ dataDir, secrets, retryDelays = RETRY_DELAYS_MS }) {
+    const file = path.join(dataDir, 'webhooks.json');
+    let data = { endpoints: [], deliveries: [] };
+    try {
+        if (fs.existsSync(file)) data = { endpoints: [], deliveries: [], ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (e) { console.error('Webhooks read error:', e.message); }
+
+    const timers = new Map();
+
+    function save() {
+        // Keep every pending delivery, trim the oldest finished ones
+        const finished = data.deliveries.filter(d => d.status !== 'pending');
+        if (finished.length > MAX_DELIVERIES) {
+            const drop = new Set(finished.slice(0, finished.length - MAX_DELIVERIES).map(d => d.id));
+            data.deliveries = data.deliveries.filter(d => !drop.has(d.id));
+        }
+        writeFileAtomic(file, JSON.stringify(data, null, 2));
+    }
+
+    function publicEndpoint(endpoint) {
+        const { url, secret, ...rest } = endpoint;
+        return rest;
+    }
+
+    function listEndpoints() {
+        return data.endpoints.map(publicEndpoint);
+    }
+
+    // -> { webhook, secret }; the secret is only ever returned here
+    function createEndpoint({ url, events, format = 'json', description }, createdBy) {
+        const error = validateEndpoint({ url, events, format });
+        if (error) throw fail(400, error);
+        const secret = 'whsec_' + crypto.randomBytes(24).toString('base64url');
+        const endpoint = {
+            id: 'wh_' + crypto.randomBytes(6).toString('hex'),
+            url: secrets.encrypt(url),
+            urlHint: urlHint(url),
+            secret: secrets.encrypt(secret),
+            events: [...new Set(events)],
+            format,
+            description: typeof description === 'string' ? description.trim().slice(0, 120) : '',
+            enabled: true,
+            createdBy: createdBy || null,
+            createdAt: new Date().toISOString()
+        };
+        data.endpoints.push(endpoint);
+        save();
+        return { webhook: publicEndpoint(endpoint), secret };
+    }
+
+    // fields: { url?, events?, format?, description?, enabled? }
+    function updateEndpoint(id, { url, events, format, description, enabled }) {
+        const endpoint = data.endpoints.find(e => e.id === id);
+        if (!endpoint) return null;
+        const error = validateEndpoint({ url, events, format }, { partial: true });
+        if (error) throw fail(400, error);
+        if (url !== undefined) Object.assign(endpoint, { url: secrets.encrypt(url), urlHint: urlHint(url) });
+        if (events !== undefined) endpoint.events = [...new Set(events)];
+        if (format !== undefined) endpoint.format = format;
+        if (description !== undefined) endpoint.description = String(description || '').trim().slice(0, 120);
+        if (enabled !== undefined) endpoint.enabled = !!enabled;
+        save();
+        return publicEndpoint(endpoint);
+    }
+
+    // Pending retries of a deleted endpoint are dropped; its log goes with it
+    function deleteEndpoint(id) {
+        const before = data.endpoints.length;
+        data.endpoints = data.endpoints.filter(e => e.id !== id);
+        if (data.endpoints.length === before) return false;
+        for (const d of data.deliveries) {
+            if (d.endpointId === id && timers.has(d.id)) {
+                clearTimeout(timers.get(d.id));
+                timers.delete(d.id);
+            }
+        }
+        data.deliveries = data.deliveries.filter(d => d.endpointId !== id);
+        save();
+        return true;
+    }
+
+    // Newest first
+    function listDeliveries(endpointId, limit = 50) {
+        return data.deliveries.filter(d => d.endpointId === endpointId).slice(-limit).reverse();
+    }
+
+    function schedule(delivery) {
+        if (timers.has(delivery.id)) clearTimeout(timers.get(delivery.id));
+        const wait = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+        const timer = setTimeout(() => {
+            timers.delete(delivery.id);
+            attempt(delivery.id).catch(e => console.error(`[Webhooks] ${delivery.id}: ${e.message}`));
+        }, wait);
+        timer.unref?.();
+        timers.set(delivery.id, timer);
+    }
+
+    async function attempt(deliveryId) {
+        const delivery = data.deliveries.find(d => d.id === deliveryId);
+        const endpoint = delivery && data.endpoints.find(e => e.id === delivery.endpointId);
+        if (!delivery || !endpoint || delivery.status !== 'pending') return;
+
+        const started = Date.now();
+        const record = { at: new Date(started).toISOString(), responseStatus: null, error: null, durationMs: 0 };
+        try {
+            const secret = secrets.decrypt(endpoint.secret);
+            const body = formatBody(endpoint.format, delivery.payload);
+            const timestamp = Math.floor(started / 1000);
+            const res = await fetch(secrets.decrypt(endpoint.url), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'SocialTracker-Webhooks/1.0',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': sign(secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            record.responseStatus = res.status;
+            if (res.status < 200 || res.status >= 300) record.error = `HTTP ${res.status}`;
+            await res.body?.cancel().catch(() => { });
+        } catch (e) {
+            record.error = e.name === 'TimeoutError' ? `Timeout (${REQUEST_TIMEOUT_MS / 1000}s)` : e.message;
+        }
+        record.durationMs = Date.now() - started;
+
+        delivery.attempts.push(record);
+        if (!record.error) {
+            Object.assign(delivery, { status: 'success', nextAttemptAt: null, finishedAt: record.at });
+        } else if (delivery.attempts.length > retryDelays.length) {
+            Object.assign(delivery, { status: 'failed', nextAttemptAt: null, finishedAt: record.at });
+            console.log(`[Webhooks] ${delivery.event} to ${endpoint.urlHint} failed after ${delivery.attempts.length} attempts: ${record.error}`);
+        } else {
+            const delay = retryDelays[delivery.attempts.length - 1];
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            console.log(`[Webhooks] ${delivery.event} to ${endpoint.urlHint}: ${record.error}, retrying in ${Math.round(delay / 1000)}s`);
+        }
+        save();
+        if (delivery.status === 'pending') schedule(delivery);
+    }
+
+    function enqueue(endpoint, event, payload, redeliveryOf = null) {
+        const now = new Date().toISOString();
+        const delivery = {
+            id: 'wd_' + crypto.randomBytes(6).toString('hex'),
+            endpointId: endpoint.id,
+            event,
+            payload,
+            status: 'pending',
+            attempts: [],
+            nextAttemptAt: now,
+            createdAt: now,
+            finishedAt: null,
+            redeliveryOf
+        };
+        data.deliveries.push(delivery);
+        return delivery;
+    }
+
+    // Queue event for every enabled endpoint subscribed to it -> number of deliveries queued
+    function dispatch(event, eventData) {
+        const targets = data.endpoints.filter(e => e.enabled && e.events.includes(event));
+        if (targets.length === 0) return 0;
+        const payload = { id: 'evt_' + crypto.randomBytes(6).toString('hex'), event, createdAt: new Date().toISOString(), data: eventData };
+        const queued = targets.map(endpoint => enqueue(endpoint, event, payload));
+        save();
+        queued.forEach(schedule);
+        return queued.length;
+    }
+
+    // A ping with the same signing as real events, to check the receiving side
+    function sendTest(endpointId) {
+        const endpoint = data.endpoints.find(e => e.id === endpointId);
+        if (!endpoint) return null;
+        const delivery = enqueue(endpoint, 'ping', { id: 'evt_' + crypto.randomBytes(6).toString('hex'), event: 'ping', createdAt: new Date().toISOString(), data: { webhookId: endpoint.id } });
+        save();
+        schedule(delivery);
+        return delivery;
+    }
+
+    // Send a logged delivery's payload again as a new delivery
+    function redeliver(deliveryId) {
+        const original = data.deliveries.find(d => d.id === deliveryId);
+        const endpoint = original && data.endpoints.find(e => e.id === original.endpointId);
+        if (!endpoint) return null;
+        const delivery = enqueue(endpoint, original.event, original.payload, original.id);
+        save();
+        schedule(delivery);
+        return delivery;
+    }
+
+    // Pick up retries that were waiting when the process stopped
+    function start() {
+        const pending = data.deliveries.filter(d => d.status === 'pending');
+        pending.forEach(schedule);
+        if (pending.length > 0) console.log(`[Webhooks] Resuming ${pending.length} pending deliver${pending.length === 1 ? 'y' : 'ies'}`);
+    }
+
+    return {
+        file, listEndpoints, createEndpoint, updateEndpoint, deleteEndpoint,
+        listDeliveries, dispatch, sendTest, redeliver, start
+    };
+}
+
+module.exports = { EVENT_TYPES, FORMATS, createWebhooks };
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// Local AppView stub with the two XRPC methods the adapter uses; requests are recorded for the assertions
+const DID = 'did:plc:abc123';
+const requests = [];
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: url.pathname.replace('/xrpc/', ''), params: Object.fromEntries(url.searchParams) });
+    const actor = url.searchParams.get('actor');
+    let status = 200, body;
+    if (url.pathname === '/xrpc/app.bsky.actor.getProfile' && ['alice.bsky.social', DID].includes(actor)) {
+        body = {
+            did: DID, handle: 'alice.bsky.social', displayName: 'Alice', avatar: 'https://cdn.example/avatar.jpg',
+            followersCount: 200, followsCount: 50, postsCount: 321
+        };
+    } else if (url.pathname === '/xrpc/app.bsky.feed.getAuthorFeed' && actor === DID) {
+        body = {
+            feed: [
+                {
+                    post: {
+                        uri: `at://${DID}/app.bsky.feed.post/3kpost1`, cid: 'cid1',
+                        record: { text: 'Hello', createdAt: '2026-10-01T12:00:00.000Z' },
+                        embed: { images: [{ thumb: 'https://cdn.example/thumb1.jpg' }] },
+                        likeCount: 10, replyCount: 2, repostCount: 3, quoteCount: 1
+                    }
+                },
+                // Repost of someone else's post: not the account's own content
+                { post: { uri: 'at://did:plc:other/app.bsky.feed.post/3kpost2', cid: 'cid2', record: { text: 'Not mine' } }, reason: { $type: 'app.bsky.feed.defs#reasonRepost' } }
+            ]
+        };
+    } else {
+        status = 400;
+        body = { error: 'InvalidRequest', message: 'Profile not found' };
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+});
+
+let platforms;
+test.before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    // Read when the adapter is loaded; no rate limit so the test doesn't wait for the governor
+    process.env.BSKY_APPVIEW_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.RATE_LIMITS = 'bluesky=6000/100';
+    platforms = require('../lib/platforms');
+});
+test.after(() => server.close());
+test.beforeEach(() => { requests.length = 0; });
+
+test('bluesky: a handle resolves through getProfile and keeps the DID as platform id', async () => {
+    const profile = await platforms.resolveProfile('https://bsky.app/profile/Alice.bsky.social');
+    assert.deepStrictEqual(profile, {
+        platform: 'bluesky', handle: 'alice.bsky.social', id: DID, url: 'https://bsky.app/profile/alice.bsky.social', lookedUp: true
+    });
+    assert.deepStrictEqual(requests.map(r => r.method), ['app.bsky.actor.getProfile']);
+    assert.strictEqual(requests[0].params.actor, 'alice.bsky.social');
+});
+
+test('bluesky: a link by DID gets the handle back', async () => {
+    const profile = await platforms.resolveProfile(`https://bsky.app/profile/${DID}`);
+    assert.strictEqual(profile.handle, 'alice.bsky.social');
+    assert.strictEqual(profile.id, DID);
+});
+
+test('bluesky: fetch reads the profile once and maps the author feed', async () => {
+    const adapter = platforms.getAdapter('bluesky');
+    const account = { id: 'a1', handle: 'alice.bsky.social', url: adapter.buildUrl('alice.bsky.social') };
+    const { metrics, recentContent } = await platforms.runAdapter(adapter, account, { settings: {}, progress: () => {} });
+
+    assert.deepStrictEqual(requests.map(r => r.method), ['app.bsky.actor.getProfile', 'app.bsky.feed.getAuthorFeed']);
+    assert.strictEqual(requests[1].params.actor, DID);
+    assert.strictEqual(requests[1].params.filter, 'posts_no_replies');
+
+    assert.strictEqual(metrics.error, undefined);
+    assert.strictEqual(metrics.followers, 200);
+    assert.strictEqual(metrics.follows, 50);
+    assert.strictEqual(metrics.postCount, 321);
+    assert.strictEqual(metrics.displayName, 'Alice');
+    assert.strictEqual(metrics.totalRecentLikes, 10);
+    assert.strictEqual(metrics.totalRecentComments, 2);
+    assert.strictEqual(metrics.totalShares, 3);
+    assert.strictEqual(metrics.totalQuotes, 1);
+    assert.strictEqual(metrics.engagementRate, 6);
+
+    assert.deepStrictEqual(recentContent, [{
+        id: 'cid1',
+        title: 'Hello',
+        url: 'https://bsky.app/profile/alice.bsky.social/post/3kpost1',
+        thumbnail: 'https://cdn.example/thumb1.jpg',
+        views: 0,
+        likes: 10,
+        comments: 2,
+        shares: 3,
+        quotes: 1,
+        uploadDate: '2026-10-01T12:00:00.000Z',
+        type: 'post'
+    }]);
+});
+
+test('bluesky: an unknown handle fails the fetch with a message', async () => {
+    const adapter = platforms.getAdapter('bluesky');
+    const account = { id: 'a2', handle: 'nobody.bsky.social', url: adapter.buildUrl('nobody.bsky.social') };
+    const { metrics, recentContent } = await platforms.runAdapter(adapter, account, { settings: {}, progress: () => {} });
+    assert.strictEqual(metrics.error, 'Perfil não encontrado no Bluesky.');
+    assert.deepStrictEqual(recentContent, []);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, emptyDB } = require('../lib/storage');
+
+// node:sqlite only exists on Node 22.13+; the SQLite cases are skipped elsewhere
+let hasSqlite = true;
+try { require('node:sqlite'); } catch (e) { hasSqlite = false; }
+
+for (const driver of ['json', 'sqlite']) {
+    test(`${driver}: content stored mid-fetch has no points until history is recorded`, { skip: driver === 'sqlite' && !hasSqlite && 'node:sqlite unavailable' }, t => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `tracker-${driver}-`));
+        const storage = createStorage({ driver, dataDir });
+        t.after(() => {
+            storage.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        });
+
+        const db = emptyDB();
+        db.youtube.push({ id: 'a1', handle: 'channel', metrics: null, recentContent: [] });
+        storage.save(db);
+
+        // What ctx.update() does while a fetch runs
+        assert.ok(storage.patchAccount('youtube', 'a1', { recentContent: [{ id: 'v1', title: 'New video' }] }));
+        assert.ok(!storage.getContentSeries('youtube', 'v1')?.points.length, 'an item stored by a partial update counts as new');
+
+        // What recordHistory() does once the fetch is done
+        storage.addContentPoints('youtube', 'a1', [{ contentId: 'v1', uploadedAt: null, point: { at: new Date().toISOString(), views: 1, likes: 0, comments: 0 } }]);
+        assert.strictEqual(storage.getContentSeries('youtube', 'v1').points.length, 1);
+    });
+}
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createSecrets } = require('../lib/secrets');
+const { createWebhooks } = require('../lib/webhooks');
+
+// A fixed key instead of one generated into each scratch dir
+process.env.SECRETS_KEY = 'webhooks-test-key';
+
+// Local receiver: answers with the next status of `statuses` (200 once they run out) and records each request
+const received = [];
+let statuses = [];
+const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(statuses.shift() ?? 200);
+        res.end();
+    });
+});
+
+let receiverUrl;
+test.before(async () => {
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+test.after(() => receiver.close());
+
+// Webhooks on a scratch data dir, retrying after 20ms instead of minutes
+function setup(t, retryDelays = [20, 20]) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-webhooks-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    received.length = 0;
+    statuses = [];
+    const secrets = createSecrets({ dataDir });
+    return createWebhooks({ dataDir, secrets, retryDelays });
+}
+
+async function settled(webhooks, endpointId, count = 1) {
+    for (let i = 0; i < 200; i++) {
+        const deliveries = webhooks.listDeliveries(endpointId);
+        if (deliveries.length >= count && deliveries.every(d => d.status !== 'pending')) return deliveries;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('deliveries still pending');
+}
+
+const eventData = { platform: 'youtube', account: { id: 'a1', handle: 'channel' }, metrics: { subscribers: 10 }, delta: null };
+
+test('webhooks: requests are signed with the endpoint secret over timestamp and body', async t => {
+    const webhooks = setup(t);
+    const { webhook, secret } = webhooks.createEndpoint({ url: receiverUrl, events: ['fetch.completed'] }, 'admin');
+    assert.strictEqual(webhooks.dispatch('fetch.completed', eventData), 1);
+    assert.strictEqual(webhooks.dispatch('fetch.failed', eventData), 0, 'not subscribed');
+    const [delivery] = await settled(webhooks, webhook.id);
+
+    assert.strictEqual(received.length, 1);
+    const { headers, body } = received[0];
+    const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    assert.strictEqual(headers['x-webhook-signature'], expected);
+    assert.strictEqual(headers['x-webhook-event'], 'fetch.completed');
+    assert.strictEqual(headers['x-webhook-delivery'], delivery.id);
+
+    const payload = JSON.parse(body);
+    assert.strictEqual(payload.event, 'fetch.completed');
+    assert.strictEqual(payload.id, delivery.payload.id);
+    assert.deepStrictEqual(payload.data, eventData);
+});
+
+test('webhooks: a non-2xx answer is retried and every attempt is logged', async t => {
+    const webhooks = setup(t);
+    const { webhook } = webhooks.createEndpoint({ url: receiverUrl, events: ['content.new'] });
+    statuses = [500];
+    webhooks.dispatch('content.new', eventData);
+    const [delivery] = await settled(webhooks, webhook.id);
+
+    assert.strictEqual(received.length, 2);
+    assert.strictEqual(received[0].headers['x-webhook-delivery'], received[1].headers['x-webhook-delivery']);
+    assert.strictEqual(delivery.status, 'success');
+    assert.deepStrictEqual(delivery.attempts.map(a => [a.responseStatus, a.error]), [[500, 'HTTP 500'], [200, null]]);
+    assert.ok(delivery.finishedAt);
+    assert.strictEqual(delivery.nextAttemptAt, null);
+
+    // The log is what was saved, so it survives a restart
+    const saved = JSON.parse(fs.readFileSync(webhooks.file, 'utf8')).deliveries.find(d => d.id === delivery.id);
+    assert.strictEqual(saved.status, 'success');
+    assert.strictEqual(saved.attempts.length, 2);
+});
+
+test('webhooks: a delivery fails once the attempts run out and can be redelivered', async t => {
+    const webhooks = setup(t);
+    const { webhook } = webhooks.createEndpoint({ url: receiverUrl, events: ['alert.fired'] });
+    statuses = [503, 503, 503];
+    webhooks.dispatch('alert.fired', eventData);
+    const [failed] = await settled(webhooks, webhook.id);
+
+    assert.strictEqual(failed.status, 'failed');
+    assert.deepStrictEqual(failed.attempts.map(a => a.responseStatus), [503, 503, 503]);
+
+    const again = webhooks.redeliver(failed.id);
+    assert.strictEqual(again.redeliveryOf, failed.id);
+    const deliveries = await settled(webhooks, webhook.id, 2);
+    assert.strictEqual(deliveries[0].id, again.id, 'newest first');
+    assert.strictEqual(deliveries[0].status, 'success');
+    assert.strictEqual(JSON.parse(received[3].body).id, failed.payload.id, 'a redelivery repeats the event id');
+});